@@ -1,6 +1,7 @@
 /**
  * Code & Brew - Account Creation
- * Validates registration form and redirects to welcome page on success
+ * Validates registration form, saves the account to the user store and
+ * redirects to welcome page on success
  *
  * @format
  */
@@ -13,7 +14,13 @@
     const MIN_USERNAME_LENGTH = 3;
     const MAX_USERNAME_LENGTH = 20;
     const PASSWORD_SPECIAL_CHARS_REGEX = /[!@#$%^&*]/;
-    const SESSION_KEY = "currentUser";
+    const AVAILABILITY_DEBOUNCE_MS = 400;
+    const MAX_SUGGESTIONS = 3;
+    const USERNAME_SUFFIXES = ["_codes", "_brews", "_dev"];
+
+    // Latest availability check per field, so a slow, stale answer is ignored
+    const checkIds = { username: 0, email: 0 };
+    const checkTimers = {};
 
     // ===================================
     // Validators
@@ -31,8 +38,8 @@
         if (username.trim().length > MAX_USERNAME_LENGTH) {
             return { valid: false, message: "Username must be no more than " + MAX_USERNAME_LENGTH + " characters." };
         }
-        if (!/^[a-zA-Z0-9]+$/.test(username.trim())) {
-            return { valid: false, message: "Username can only contain letters and numbers." };
+        if (!/^[a-zA-Z0-9_]+$/.test(username.trim())) {
+            return { valid: false, message: "Username can only contain letters, numbers and underscores." };
         }
         return { valid: true, message: "" };
     }
@@ -100,17 +107,168 @@
         return { valid: true, message: "" };
     }
 
+    // ===================================
+    // Availability Checks
+    // ===================================
+
+    /**
+     * Suggest free usernames close to a taken one, e.g. "blue2" or "blue_codes"
+     * @param {string} username - The taken username
+     * @returns {Promise<Array<string>>} Up to MAX_SUGGESTIONS free, valid usernames
+     */
+    async function suggestUsernames(username) {
+        const userStore = window.CodeAndBrew.userStore;
+        const base = username.replace(/\d+$/, "") || username;
+
+        /**
+         * Check that a candidate is well formed, new and free
+         * @param {string} candidate - Possible username
+         * @returns {Promise<boolean>} True if it can be suggested
+         */
+        async function isUsable(candidate) {
+            return candidate.toLowerCase() !== username.toLowerCase() &&
+                validateUsername(candidate).valid &&
+                (await userStore.isUsernameAvailable(candidate));
+        }
+
+        const suggestions = [];
+
+        // The first free numbered name, e.g. "blue2"
+        for (let n = 2; n <= 99; n++) {
+            const candidate = base.slice(0, MAX_USERNAME_LENGTH - String(n).length) + n;
+            if (await isUsable(candidate)) {
+                suggestions.push(candidate);
+                break;
+            }
+        }
+
+        // Then word endings, e.g. "blue_codes"
+        for (let i = 0; i < USERNAME_SUFFIXES.length && suggestions.length < MAX_SUGGESTIONS; i++) {
+            const candidate = base.slice(0, MAX_USERNAME_LENGTH - USERNAME_SUFFIXES[i].length) + USERNAME_SUFFIXES[i];
+            if (await isUsable(candidate)) suggestions.push(candidate);
+        }
+
+        return suggestions;
+    }
+
+    /**
+     * Show that a username is taken, with buttons that fill in a suggestion
+     * @param {string} username - The taken username
+     * @param {Array<string>} suggestions - Free usernames to offer
+     */
+    function showUsernameTaken(username, suggestions) {
+        const $field = $("#username");
+        setInvalid($field, "\u201C" + username + "\u201D is already taken." + (suggestions.length ? " Try " : ""));
+
+        const $feedback = getFeedback($field);
+        suggestions.forEach(function(suggestion, index) {
+            if (index > 0) $feedback.append(index === suggestions.length - 1 ? " or " : ", ");
+            $("<button>", { type: "button", "class": "username-suggestion", text: suggestion })
+                .attr("aria-label", "Use username " + suggestion)
+                .appendTo($feedback);
+        });
+        if (suggestions.length) $feedback.append(".");
+    }
+
+    /**
+     * Check the username field against the user store and show the result
+     * @returns {Promise<boolean>} True if the username is valid and free
+     */
+    async function checkUsernameAvailability() {
+        const $field = $("#username");
+        const username = $field.val().trim();
+        const checkId = ++checkIds.username;
+        clearTimeout(checkTimers.username);
+
+        const format = validateUsername(username);
+        if (!format.valid) {
+            setInvalid($field, format.message);
+            return false;
+        }
+
+        const available = await window.CodeAndBrew.userStore.isUsernameAvailable(username);
+        const suggestions = available ? [] : await suggestUsernames(username);
+
+        // A newer check has started since this one; let it update the field
+        if (checkId !== checkIds.username) return available;
+
+        if (available) {
+            setValid($field);
+        } else {
+            showUsernameTaken(username, suggestions);
+        }
+        return available;
+    }
+
+    /**
+     * Check the email field against the user store and show the result
+     * @returns {Promise<boolean>} True if the email is valid and free
+     */
+    async function checkEmailAvailability() {
+        const $field = $("#email");
+        const email = $field.val().trim();
+        const checkId = ++checkIds.email;
+        clearTimeout(checkTimers.email);
+
+        const format = validateEmail(email);
+        if (!format.valid) {
+            setInvalid($field, format.message);
+            return false;
+        }
+
+        const available = await window.CodeAndBrew.userStore.isEmailAvailable(email);
+        if (checkId !== checkIds.email) return available;
+
+        if (available) {
+            setValid($field);
+        } else {
+            setInvalid($field, "An account with this email already exists.");
+            getFeedback($field).append(" ", $("<a>", { href: "signIn.html", text: "Sign in instead" }), ".");
+        }
+        return available;
+    }
+
+    /**
+     * Re-check a field's availability once the user pauses typing. While
+     * the format is still wrong, clear the field instead of nagging mid-word;
+     * the blur handler reports format problems.
+     * @param {string} field - "username" or "email"
+     * @param {Function} validate - Format validator for the field
+     * @param {Function} check - Availability check to run
+     */
+    function scheduleAvailabilityCheck(field, validate, check) {
+        const $field = $("#" + field);
+        clearTimeout(checkTimers[field]);
+        checkIds[field]++;
+
+        if (!validate($field.val().trim()).valid) {
+            clearValidation($field);
+            return;
+        }
+        checkTimers[field] = setTimeout(check, AVAILABILITY_DEBOUNCE_MS);
+    }
+
     // ===================================
     // UI Helpers
     // ===================================
 
+    /**
+     * Find a field's error message element. Inputs sit inside an
+     * .input-group, so the message is a sibling of the group, not the input
+     * @param {jQuery} $field - The input element
+     * @returns {jQuery} The field's .invalid-feedback element
+     */
+    function getFeedback($field) {
+        return $field.closest(".mb-4").find(".invalid-feedback");
+    }
+
     /**
      * Mark a field as valid
      * @param {jQuery} $field - The input element
      */
     function setValid($field) {
         $field.removeClass("is-invalid").addClass("is-valid");
-        $field.siblings(".invalid-feedback").text("");
+        getFeedback($field).text("").hide();
     }
 
     /**
@@ -120,7 +278,7 @@
      */
     function setInvalid($field, message) {
         $field.removeClass("is-valid").addClass("is-invalid");
-        $field.siblings(".invalid-feedback").text(message);
+        getFeedback($field).text(message).show();
     }
 
     /**
@@ -129,7 +287,7 @@
      */
     function clearValidation($field) {
         $field.removeClass("is-valid is-invalid");
-        $field.siblings(".invalid-feedback").text("");
+        getFeedback($field).text("").hide();
     }
 
     /**
@@ -285,11 +443,12 @@
     }
 
     /**
-     * Handle form submission — validate then redirect on success
+     * Handle form submission — validate, hash and save the account, then redirect on success
      * @param {Event} e - Submit event
      */
-    function handleFormSubmit(e) {
+    async function handleFormSubmit(e) {
         e.preventDefault();
+        const $submit = $("#registrationForm button[type='submit']");
 
         if (!validateAll()) {
             // Scroll to first error so the user sees it
@@ -300,18 +459,48 @@
             return false;
         }
 
-        // All validation passed — save user to sessionStorage and redirect
-        const userData = {
-            username: $("#username").val().trim(),
-            email:    $("#email").val().trim()
-        };
+        // All validation passed — hash and save the account, start the session and redirect
+        $("#registrationError").text("").prop("hidden", true);
+        $submit.prop("disabled", true);
 
+        let result;
         try {
-            sessionStorage.setItem(SESSION_KEY, JSON.stringify(userData));
+            // Check again now: the name may have been registered in another tab
+            const available = await Promise.all([checkUsernameAvailability(), checkEmailAvailability()]);
+            if (!available[0] || !available[1]) {
+                $(".is-invalid").first().trigger("focus");
+                return false;
+            }
+
+            result = await window.CodeAndBrew.userStore.createUser({
+                username: $("#username").val().trim(),
+                email:    $("#email").val().trim(),
+                password: $("#password").val()
+            });
         } catch (err) {
-            console.error("Could not write to sessionStorage:", err);
+            console.error("Could not create account:", err);
+            result = { user: null, error: "storage" };
+        } finally {
+            $submit.prop("disabled", false);
         }
 
+        // Registered by another tab while the password was hashing
+        if (result.error === "username-taken") {
+            await checkUsernameAvailability();
+            $("#username").trigger("focus");
+            return false;
+        }
+        if (result.error === "email-taken") {
+            await checkEmailAvailability();
+            $("#email").trigger("focus");
+            return false;
+        }
+        if (result.error) {
+            $("#registrationError").text("Your account could not be saved. Please try again.").prop("hidden", false);
+            return false;
+        }
+
+        window.CodeAndBrew.session.start(result.user);
         window.location.href = "welcome.html";
         return false;
     }
@@ -330,17 +519,26 @@
         // Real-time password feedback
         $("#password").on("input", handlePasswordInput);
 
-        // Blur validation (validate each field when the user leaves it)
-        $("#username").on("blur", function() {
-            var result = validateUsername($(this).val().trim());
-            if (result.valid) { setValid($(this)); } else { setInvalid($(this), result.message); }
+        // Availability checks while typing (debounced) and when leaving the field
+        $("#username").on("input", function() {
+            scheduleAvailabilityCheck("username", validateUsername, checkUsernameAvailability);
         });
+        $("#email").on("input", function() {
+            scheduleAvailabilityCheck("email", validateEmail, checkEmailAvailability);
+        });
+        $("#username").on("blur", checkUsernameAvailability);
+        $("#email").on("blur", checkEmailAvailability);
 
-        $("#email").on("blur", function() {
-            var result = validateEmail($(this).val().trim());
-            if (result.valid) { setValid($(this)); } else { setInvalid($(this), result.message); }
+        // Fill in a suggested username and check it
+        $(document).on("mousedown", ".username-suggestion", function(e) {
+            e.preventDefault(); // Keep focus in the field so blur doesn't re-check the old name
+        });
+        $(document).on("click", ".username-suggestion", function() {
+            $("#username").val($(this).text()).trigger("focus");
+            checkUsernameAvailability();
         });
 
+        // Blur validation (validate each field when the user leaves it)
         $("#password").on("blur", function() {
             var result = validatePassword($(this).val());
             if (result.valid) { setValid($(this)); } else { setInvalid($(this), result.message); }
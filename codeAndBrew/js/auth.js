@@ -0,0 +1,249 @@
+/**
+ * Code & Brew - Auth State
+ * Reads the signed-in user, swaps the nav's Sign Up / Sign In link for a
+ * user menu (Dashboard, Sign out), and sends visitors to sign-in from
+ * pages marked <body data-auth="required">
+ *
+ * Load after session.js, which owns the session itself, and before
+ * script.js so the mobile menu's link handlers include the user menu.
+ *
+ * @format
+ */
+
+(function () {
+	"use strict";
+
+	const RETURN_PARAM = "returnTo";
+	const REASON_PARAM = "reason";
+
+	// Page URLs resolved against this script, so any folder depth works
+	const SCRIPT_URL =
+		document.currentScript && document.currentScript.src
+			? document.currentScript.src
+			: new URL("js/auth.js", window.location.href).href;
+	const HOME_URL = new URL("../index.html", SCRIPT_URL).href;
+	const SIGN_IN_URL = new URL("../pages/signIn.html", SCRIPT_URL).href;
+	const DASHBOARD_URL = new URL("../pages/welcome.html", SCRIPT_URL).href;
+
+	// Nav links that only make sense while signed out
+	const ACCOUNT_LINK_SELECTOR =
+		'.nav-link[href$="signUp.html"], .nav-link[href$="signIn.html"]';
+
+	// ===================================
+	// Session
+	// ===================================
+
+	/**
+	 * Get the signed-in user
+	 * @returns {Object|null} { username, email } or null if signed out
+	 */
+	function getCurrentUser() {
+		return window.CodeAndBrew.session.getUser();
+	}
+
+	/**
+	 * End the session in every open tab; handleSessionEnd() then goes home
+	 */
+	function signOut() {
+		window.CodeAndBrew.session.end("signed-out");
+	}
+
+	/**
+	 * Leave the page once the session ends, here or in another tab
+	 * @param {string} reason - "signed-out", "idle" or "expired"
+	 * @param {boolean} remote - True if another tab ended it
+	 */
+	function leavePage(reason, remote) {
+		if (reason === "signed-out" && !remote) {
+			window.location.href = HOME_URL;
+		} else if (reason === "signed-out" && document.body.dataset.auth !== "required") {
+			window.location.reload(); // Show the page signed out
+		} else {
+			// Timed out, or signed out elsewhere while on a protected page
+			const url = new URL(getSignInUrl());
+			if (reason !== "signed-out") {
+				url.searchParams.set(REASON_PARAM, reason);
+			}
+			window.location.replace(url.href);
+		}
+	}
+
+	/**
+	 * React to a session ending while the page is open
+	 * @param {CustomEvent} event - "session:end" from session.js, with
+	 *     detail { reason, remote }
+	 */
+	function handleSessionEnd(event) {
+		leavePage(event.detail.reason, event.detail.remote);
+	}
+
+	// ===================================
+	// Return URLs
+	// ===================================
+
+	/**
+	 * Build the sign-in URL that brings the visitor back afterwards
+	 * @param {string} [returnTo] - Page to return to; defaults to the current page
+	 * @returns {string} Absolute sign-in URL with a returnTo parameter
+	 */
+	function getSignInUrl(returnTo) {
+		const url = new URL(SIGN_IN_URL);
+		const current = window.location;
+		url.searchParams.set(
+			RETURN_PARAM,
+			returnTo || current.pathname + current.search + current.hash
+		);
+		return url.href;
+	}
+
+	/**
+	 * Read the page to return to after signing in. Only same-site URLs
+	 * are allowed, so a crafted link can't send the visitor elsewhere.
+	 * @returns {string|null} Absolute URL, or null when there is none
+	 */
+	function getReturnUrl() {
+		const value = new URLSearchParams(window.location.search).get(RETURN_PARAM);
+		if (!value) return null;
+
+		try {
+			const url = new URL(value, window.location.href);
+			const sameSite =
+				url.origin === window.location.origin &&
+				(url.protocol === "http:" || url.protocol === "https:" || url.protocol === "file:");
+			return sameSite ? url.href : null;
+		} catch (err) {
+			return null;
+		}
+	}
+
+	/**
+	 * Send signed-out visitors on a protected page to sign-in
+	 * @returns {boolean} True if a redirect was started
+	 */
+	function protectPage() {
+		if (document.body.dataset.auth !== "required" || getCurrentUser()) {
+			return false;
+		}
+		window.location.replace(getSignInUrl());
+		return true;
+	}
+
+	// ===================================
+	// User Menu
+	// ===================================
+
+	/**
+	 * Build the nav's user menu for a signed-in user
+	 * @param {Object} user - { username, email }
+	 * @returns {HTMLLIElement} Menu list item
+	 */
+	function buildUserMenu(user) {
+		const item = document.createElement("li");
+		item.className = "nav-user";
+		item.innerHTML =
+			'<button type="button" class="nav-link nav-user-toggle" aria-expanded="false" aria-controls="navUserMenu">' +
+			'<span aria-hidden="true">👤</span> <span class="nav-user-name"></span> ' +
+			'<span class="nav-user-caret" aria-hidden="true">▾</span>' +
+			"</button>" +
+			'<ul id="navUserMenu" class="nav-user-menu" hidden>' +
+			'<li><a class="nav-link" href="' + DASHBOARD_URL + '">Dashboard</a></li>' +
+			'<li><button type="button" class="nav-link nav-sign-out">Sign out</button></li>' +
+			"</ul>";
+
+		// Usernames are user input, so set them as text
+		item.querySelector(".nav-user-name").textContent = user.username;
+		item.querySelector(".nav-user-toggle").setAttribute(
+			"aria-label",
+			"Account menu for " + user.username
+		);
+
+		if (window.location.href.split(/[?#]/)[0] === DASHBOARD_URL) {
+			item.querySelector('a[href="' + DASHBOARD_URL + '"]').setAttribute("aria-current", "page");
+		}
+		return item;
+	}
+
+	/**
+	 * Open or close the user menu
+	 * @param {HTMLElement} item - The .nav-user list item
+	 * @param {boolean} open - True to open
+	 */
+	function setUserMenuOpen(item, open) {
+		item.querySelector(".nav-user-toggle").setAttribute("aria-expanded", String(open));
+		item.querySelector(".nav-user-menu").hidden = !open;
+		item.classList.toggle("open", open);
+	}
+
+	/**
+	 * Replace the nav's Sign Up / Sign In links with the user menu
+	 * @param {Object} user - { username, email }
+	 */
+	function renderUserMenu(user) {
+		const navMenu = document.getElementById("navMenu");
+		if (!navMenu) return;
+
+		const accountLinks = navMenu.querySelectorAll(ACCOUNT_LINK_SELECTOR);
+		if (accountLinks.length === 0) return;
+
+		const item = buildUserMenu(user);
+		accountLinks[0].closest("li").replaceWith(item);
+		for (let i = 1; i < accountLinks.length; i++) {
+			accountLinks[i].closest("li").remove();
+		}
+
+		const toggle = item.querySelector(".nav-user-toggle");
+		toggle.addEventListener("click", function () {
+			setUserMenuOpen(item, toggle.getAttribute("aria-expanded") !== "true");
+		});
+		item.querySelector(".nav-sign-out").addEventListener("click", signOut);
+
+		// Close on Escape (returning focus to the toggle) or a click elsewhere
+		item.addEventListener("keydown", function (event) {
+			if ((event.key === "Escape" || event.key === "Esc") && !item.querySelector(".nav-user-menu").hidden) {
+				event.stopPropagation(); // Leave the mobile menu open
+				setUserMenuOpen(item, false);
+				toggle.focus();
+			}
+		});
+		document.addEventListener("click", function (event) {
+			if (!item.contains(event.target)) {
+				setUserMenuOpen(item, false);
+			}
+		});
+	}
+
+	// ===================================
+	// Initialisation
+	// ===================================
+
+	// Runs once session.js has settled the session, straight after this script,
+	// so a signed-out visitor is sent away before the page's own scripts start.
+	// A session that timed out while the page was away ends here too, with the
+	// reason shown on sign-in. Protected pages stay hidden (see styles.css)
+	// until the visitor is let in.
+	window.CodeAndBrew.session.ready.then(function (endReason) {
+		if (endReason) {
+			leavePage(endReason, false);
+			return;
+		}
+		if (protectPage()) return;
+		document.body.classList.add("auth-checked");
+		const user = getCurrentUser();
+		if (user) {
+			renderUserMenu(user);
+		}
+	});
+	document.addEventListener("session:end", handleSessionEnd);
+
+	// Public API for other feature files (e.g. sign-in's return redirect)
+	window.CodeAndBrew = window.CodeAndBrew || {};
+	window.CodeAndBrew.auth = {
+		getCurrentUser: getCurrentUser,
+		isSignedIn: function () {
+			return getCurrentUser() !== null;
+		},
+		signOut: signOut,
+		getSignInUrl: getSignInUrl,
+		getReturnUrl: getReturnUrl,
+	};
+})();
@@ -137,22 +137,8 @@
 		return filtered;
 	}
 
-	/**
-	 * Escape a string for safe insertion into HTML
-	 * @param {string} str - Raw string to escape
-	 * @returns {string} HTML-escaped string
-	 */
-	function escapeHtml(str) {
-		if (str == null) {
-			return "";
-		}
-		return String(str)
-			.replace(/&/g, "&amp;")
-			.replace(/</g, "&lt;")
-			.replace(/>/g, "&gt;")
-			.replace(/"/g, "&quot;")
-			.replace(/'/g, "&#39;");
-	}
+	// HTML escaping shared from script.js
+	const escapeHtml = window.CodeAndBrew.utils.escapeHtml;
 
 	/**
 	 * Format an ISO date string to a readable format
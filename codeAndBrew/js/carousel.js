@@ -1,6 +1,9 @@
 /**
- * Code & Brew - Homepage Featured Items Carousel
- * Auto-playing carousel with manual nav, keyboard support, and ARIA attributes.
+ * Code & Brew - Carousel Component
+ * Reusable auto-playing carousel with manual nav, keyboard and swipe support,
+ * a pause/play control, reduced-motion support, and ARIA attributes.
+ * Any number of carousels can run on one page; the homepage featured-items
+ * carousel is created at the bottom of this file.
  *
  * @format
  */
@@ -8,135 +11,113 @@
 (function ($) {
   "use strict";
 
-  /** Auto-advance delay in milliseconds (4 seconds) */
-  var AUTO_PLAY_DELAY = 4000;
+  /**
+   * Default options for createCarousel().
+   * @type {Object}
+   */
+  var DEFAULTS = {
+    items: null, // Array of slide data, or...
+    source: null, // ...a function returning slide data or a Promise of it
+    renderSlide: buildProductSlideHtml, // (item, index, total) => inner HTML of one slide
+    delay: 4000, // Auto-advance delay in ms; 0 turns auto-play off
+    loop: true, // Wrap from the last slide to the first and back
+    slidesPerView: 1, // Slides visible at once on screens wider than 768px
+    label: "Carousel", // Accessible name, e.g. "Featured menu items"
+    swipeThreshold: 50, // Pixels a drag or swipe must travel before it changes slide
+  };
+
+  /** Below this width every carousel shows one slide at a time */
+  var MOBILE_QUERY = "(max-width: 768px)";
+
+  /** Users who ask for less motion get carousels that start paused */
+  var REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+  /** Movement (px) before a drag is treated as horizontal or vertical */
+  var DRAG_DIRECTION_SLOP = 8;
+
+  /** Homepage slides link to the item's detail view on the menu page */
+  var MENU_PAGE_URL = "pages/menu.html";
 
   /**
-   * Featured menu items data shown in the carousel.
-   * Add or edit entries here to change what appears on the homepage.
-   * Each item must include: name, description, price, emoji, category, visualClass.
-   * @type {Array<Object>}
+   * Slide background for each catalog category; unknown categories use the espresso look.
+   * @type {Object<string, string>}
    */
-  var CAROUSEL_ITEMS = [
-    {
-      id: 1,
-      name: "Signature Espresso",
-      description:
-        "Bold, rich shots pulled from our house blend — the foundation of every great coffee moment at Code & Brew.",
-      price: "$3.00",
-      emoji: "☕",
-      category: "Espresso Drinks",
-      visualClass: "carousel-slide-visual--espresso",
-    },
-    {
-      id: 2,
-      name: "Vanilla Cold Brew",
-      description:
-        "Smooth cold brew steeped for 24 hours with a hint of pure vanilla. Refreshing in every single sip.",
-      price: "$5.00",
-      emoji: "🧊",
-      category: "Cold Brew",
-      visualClass: "carousel-slide-visual--cold-brew",
-    },
-    {
-      id: 3,
-      name: "Fresh Croissant",
-      description:
-        "Flaky, buttery layers baked fresh every morning by our pastry chef Quinton. Best paired with a latte.",
-      price: "$3.50",
-      emoji: "🥐",
-      category: "Pastries",
-      visualClass: "carousel-slide-visual--pastry",
-    },
-    {
-      id: 4,
-      name: "Matcha Latte",
-      description:
-        "Earthy ceremonial-grade matcha blended with silky steamed oat milk. A calm and focused cup.",
-      price: "$5.00",
-      emoji: "🍵",
-      category: "Specialty Drinks",
-      visualClass: "carousel-slide-visual--specialty",
-    },
-    {
-      id: 5,
-      name: "Cappuccino",
-      description:
-        "Equal parts espresso, steamed milk, and velvety foam. A timeless coffeehouse classic done right.",
-      price: "$4.50",
-      emoji: "☕",
-      category: "Espresso Drinks",
-      visualClass: "carousel-slide-visual--espresso",
-    },
-    {
-      id: 6,
-      name: "Double Chocolate Cookie",
-      description:
-        "Quinton's most-requested item — chewy, fudgy, loaded with chocolate chips, and made fresh daily.",
-      price: "$2.50",
-      emoji: "🍪",
-      category: "Pastries",
-      visualClass: "carousel-slide-visual--pastry",
-    },
-  ];
+  var CATEGORY_VISUALS = {
+    "Espresso Drinks": "carousel-slide-visual--espresso",
+    "Cold Brew": "carousel-slide-visual--cold-brew",
+    "Pastries": "carousel-slide-visual--pastry",
+    "Specialty Drinks": "carousel-slide-visual--specialty",
+  };
+  var DEFAULT_VISUAL = "carousel-slide-visual--espresso";
+
+  /** Gives each carousel its own event namespace so destroy() only unbinds its own handlers */
+  var instanceCount = 0;
+
+  // HTML escaping shared from script.js
+  var escapeHtml = window.CodeAndBrew.utils.escapeHtml;
 
   /**
-   * Escape a string for safe insertion into HTML to prevent XSS.
-   * @param {string} str - Raw string to escape
-   * @returns {string} HTML-escaped string
+   * Build the inner HTML of a product slide: emoji visual, name, description,
+   * price, and a "View on Menu" link. This is the default renderSlide.
+   * @param {Object} item - Product from catalogProducts.json
+   * @returns {string} HTML string for the slide contents
    */
-  function escapeHtml(str) {
-    if (str == null) {
-      return "";
-    }
-    return String(str)
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#39;");
+  function buildProductSlideHtml(item) {
+    var name = escapeHtml(item.name);
+    var description = escapeHtml(item.description);
+    var price = escapeHtml(window.CodeAndBrew.catalog.formatPrice(item.price));
+    var category = escapeHtml(item.category);
+    var emoji = escapeHtml(item.icon);
+    var visualClass = escapeHtml(CATEGORY_VISUALS[item.category] || DEFAULT_VISUAL);
+    var menuLink = MENU_PAGE_URL + "#item=" + encodeURIComponent(item.id);
+
+    return (
+      "<div " +
+        "class=\"carousel-slide-visual " + visualClass + "\" " +
+        "role=\"img\" " +
+        "aria-label=\"" + category + " item: " + name + "\">" +
+        emoji +
+      "</div>" +
+      "<div class=\"carousel-slide-content\">" +
+        "<span class=\"carousel-slide-category\">" + category + "</span>" +
+        "<h3 class=\"carousel-slide-name\">" + name + "</h3>" +
+        "<p class=\"carousel-slide-description\">" + description + "</p>" +
+        "<p class=\"carousel-slide-price\">" + price + "</p>" +
+        "<a href=\"" + escapeHtml(menuLink) + "\" class=\"carousel-slide-link\">View on Menu</a>" +
+      "</div>"
+    );
   }
 
   /**
-   * Build the HTML for a single carousel slide.
-   * @param {Object} item - Carousel item data object
+   * Wrap one slide's contents in the slide element with its ARIA attributes.
+   * @param {string} contentHtml - Inner HTML from renderSlide
+   * @param {Object} item - Slide data; its name, if any, is added to the slide label
    * @param {number} index - Zero-based slide index
    * @param {number} total - Total number of slides
    * @returns {string} HTML string for the slide element
    */
-  function buildSlideHtml(item, index, total) {
-    var name = escapeHtml(item.name);
-    var description = escapeHtml(item.description);
-    var price = escapeHtml(item.price);
-    var category = escapeHtml(item.category);
-    var emoji = escapeHtml(item.emoji);
-    var visualClass = escapeHtml(item.visualClass);
-    var slideNumber = index + 1;
-
+  function buildSlideHtml(contentHtml, item, index, total) {
+    var label = (index + 1) + " of " + total + (item && item.name ? ": " + escapeHtml(item.name) : "");
     return (
       "<div " +
         "class=\"carousel-slide\" " +
         "role=\"group\" " +
         "aria-roledescription=\"slide\" " +
-        "aria-label=\"" + slideNumber + " of " + total + ": " + name + "\" " +
+        "aria-label=\"" + label + "\" " +
         "data-slide-index=\"" + index + "\">" +
-        "<div " +
-          "class=\"carousel-slide-visual " + visualClass + "\" " +
-          "role=\"img\" " +
-          "aria-label=\"" + category + " item: " + name + "\">" +
-          emoji +
-        "</div>" +
-        "<div class=\"carousel-slide-content\">" +
-          "<span class=\"carousel-slide-category\">" + category + "</span>" +
-          "<h3 class=\"carousel-slide-name\">" + name + "</h3>" +
-          "<p class=\"carousel-slide-description\">" + description + "</p>" +
-          "<p class=\"carousel-slide-price\">" + price + "</p>" +
-          "<a href=\"#menu\" class=\"carousel-slide-link\">View on Menu</a>" +
-        "</div>" +
+        contentHtml +
       "</div>"
     );
   }
 
+  /**
+   * Check whether the user has asked the system for reduced motion.
+   * @returns {boolean} True when auto-play should start paused
+   */
+  function prefersReducedMotion() {
+    return Boolean(window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches);
+  }
+
   /**
    * Build the HTML for a single dot indicator button.
    * @param {number} index - Zero-based slide index
@@ -159,76 +140,182 @@
   }
 
   /**
-   * Initialize the homepage featured-items carousel.
-   * Builds slide and dot markup, wires up prev/next buttons, dot clicks,
-   * keyboard navigation (Left/Right arrows), and starts the auto-play timer.
+   * Build the empty carousel frame: track, prev/next buttons, and dot list.
+   * @param {string} label - Accessible name of the carousel
+   * @returns {string} HTML string for the carousel contents
+   */
+  function buildFrameHtml(label) {
+    var name = escapeHtml(label);
+    return (
+      "<div class=\"carousel-track\" aria-live=\"off\"></div>" +
+      "<button class=\"carousel-btn carousel-btn--prev\" type=\"button\" aria-label=\"Previous slide\">&#8249;</button>" +
+      "<button class=\"carousel-btn carousel-btn--next\" type=\"button\" aria-label=\"Next slide\">&#8250;</button>" +
+      "<div class=\"carousel-footer\">" +
+        "<button class=\"carousel-play-toggle\" type=\"button\"></button>" +
+        "<div class=\"carousel-dots\" role=\"tablist\" aria-label=\"" + name + " slide navigation\"></div>" +
+      "</div>" +
+      "<div class=\"carousel-status sr-only\" aria-live=\"polite\" aria-atomic=\"true\"></div>"
+    );
+  }
+
+  /**
+   * Create a carousel inside a container element.
    *
    * What it does:
-   *   Renders CAROUSEL_ITEMS into a sliding track with ARIA landmark roles,
-   *   attaches event listeners for manual and keyboard navigation, and starts
-   *   a setInterval that advances the carousel every AUTO_PLAY_DELAY ms.
-   *   Auto-play pauses while the user is hovering or has keyboard focus on
-   *   the carousel wrapper so it does not interrupt interaction.
+   *   Builds the track, prev/next buttons and dot indicators inside the
+   *   container, renders one slide per item with options.renderSlide, wires up
+   *   button, dot and keyboard (Left/Right arrow) navigation, and auto-advances
+   *   every options.delay ms. Auto-play pauses while the user is hovering or
+   *   has keyboard focus on the carousel so it does not interrupt interaction,
+   *   and the pause/play button stops it for good (WCAG 2.2.2). Carousels start
+   *   paused when the user prefers reduced motion. Slides can be swiped with
+   *   touch or dragged with a mouse, and slide changes the user makes are
+   *   announced through a polite live region.
+   *   Each time the visible slide changes the container fires a jQuery
+   *   "carousel:change" event with { index, item, total }.
    *
    * What it takes in:
-   *   No parameters — reads from the DOM element #featuredCarousel and the
-   *   module-level CAROUSEL_ITEMS array.
+   *   container - element, selector or jQuery object to render into
+   *   options   - overrides for DEFAULTS (items or source, renderSlide, delay,
+   *               loop, slidesPerView, label, swipeThreshold)
    *
    * What it returns:
-   *   Nothing (void). All side-effects are DOM mutations and event listeners.
+   *   The carousel API: next(), prev(), goTo(index), getIndex(), play(), pause(),
+   *   destroy(), and ready, a Promise that resolves with the slide items once
+   *   they are rendered.
    */
-  function initCarousel() {
-    var $carousel = $("#featuredCarousel");
-    if ($carousel.length === 0) {
-      return;
-    }
+  function createCarousel(container, options) {
+    var $carousel = $(container).first();
+    var settings = $.extend({}, DEFAULTS, options);
+    var namespace = ".carousel" + (++instanceCount);
+
+    var items = [];
+    var currentIndex = 0;
+    var visibleCount = 1;
+    var autoPlayTimer = null;
+    var isPaused = false; // Hover or focus inside the carousel
+    var isStopped = prefersReducedMotion(); // Pause/play button, or reduced motion
+    var isDestroyed = false;
+    var drag = null;
+    var suppressClick = false;
+
+    var regionAttrs = {
+      "role": "region",
+      "aria-roledescription": "carousel",
+      "aria-label": settings.label,
+      "tabindex": "0",
+    };
+
+    // What the container had before, so destroy() can put it back
+    var hadCarouselClass = $carousel.hasClass("carousel");
+    var originalAttrs = {};
+    $.each(regionAttrs, function (name) {
+      originalAttrs[name] = $carousel.attr(name);
+    });
+
+    $carousel
+      .addClass("carousel")
+      .attr(regionAttrs)
+      .html(buildFrameHtml(settings.label));
 
     var $track = $carousel.find(".carousel-track");
     var $dotsContainer = $carousel.find(".carousel-dots");
     var $btnPrev = $carousel.find(".carousel-btn--prev");
     var $btnNext = $carousel.find(".carousel-btn--next");
+    var $footer = $carousel.find(".carousel-footer");
+    var $toggle = $carousel.find(".carousel-play-toggle");
+    var $status = $carousel.find(".carousel-status");
 
-    var totalSlides = CAROUSEL_ITEMS.length;
-    var currentIndex = 0;
-    var autoPlayTimer = null;
-    var isPaused = false;
+    /**
+     * How many slides fit on screen right now.
+     * @returns {number} Slides per view, never more than the number of slides
+     */
+    function getSlidesPerView() {
+      var isMobile = window.matchMedia && window.matchMedia(MOBILE_QUERY).matches;
+      var wanted = isMobile ? 1 : Math.max(1, Math.floor(settings.slidesPerView) || 1);
+      return Math.max(1, Math.min(wanted, items.length));
+    }
 
-    // Build slides
-    var slidesHtml = "";
-    for (var i = 0; i < totalSlides; i++) {
-      slidesHtml += buildSlideHtml(CAROUSEL_ITEMS[i], i, totalSlides);
+    /**
+     * Index of the last position the track can scroll to.
+     * @returns {number} Zero-based index
+     */
+    function getLastIndex() {
+      return Math.max(0, items.length - visibleCount);
     }
-    $track.html(slidesHtml);
 
-    // Build dots
-    var dotsHtml = "";
-    for (var d = 0; d < totalSlides; d++) {
-      dotsHtml += buildDotHtml(d, d === 0);
+    /**
+     * Render the slides and one dot per scroll position.
+     */
+    function render() {
+      visibleCount = getSlidesPerView();
+      $carousel
+        .toggleClass("carousel--multi", visibleCount > 1)
+        .css("--carousel-slides-per-view", visibleCount);
+
+      var slidesHtml = "";
+      for (var i = 0; i < items.length; i++) {
+        slidesHtml += buildSlideHtml(settings.renderSlide(items[i], i, items.length), items[i], i, items.length);
+      }
+      $track.html(slidesHtml);
+
+      var dotsHtml = "";
+      for (var d = 0; d <= getLastIndex(); d++) {
+        dotsHtml += buildDotHtml(d, d === currentIndex);
+      }
+      $dotsContainer.html(dotsHtml);
+
+      var hasControls = getLastIndex() > 0;
+      $btnPrev.add($btnNext).add($footer).prop("hidden", !hasControls);
+      $toggle.prop("hidden", settings.delay <= 0);
+      updateToggle();
+    }
+
+    /**
+     * Sync the pause/play button's icon and label with the auto-play state.
+     */
+    function updateToggle() {
+      $toggle
+        .attr("aria-label", isStopped ? "Play slideshow" : "Pause slideshow")
+        .html(isStopped
+          ? "<span aria-hidden=\"true\">&#9654;</span>"
+          : "<span aria-hidden=\"true\">&#10074;&#10074;</span>");
+      $carousel.toggleClass("is-stopped", isStopped);
     }
-    $dotsContainer.html(dotsHtml);
 
     /**
      * Move the carousel track to show the slide at the given index.
-     * Also updates ARIA attributes and dot active states.
+     * Also updates ARIA attributes, dot active states and, without loop,
+     * the disabled state of the prev/next buttons. Changes are announced in
+     * the live region unless they come from auto-play.
      * @param {number} index - Target slide index (0-based)
+     * @param {boolean} [silent=false] - Skip the live-region announcement
      */
-    function goToSlide(index) {
-      // Wrap around
+    function goTo(index, silent) {
+      if (isDestroyed || items.length === 0) {
+        return;
+      }
+
+      var lastIndex = getLastIndex();
+      index = parseInt(index, 10) || 0;
+
+      // Wrap around, or stop at the ends when loop is off
       if (index < 0) {
-        index = totalSlides - 1;
-      } else if (index >= totalSlides) {
-        index = 0;
+        index = settings.loop ? lastIndex : 0;
+      } else if (index > lastIndex) {
+        index = settings.loop ? 0 : lastIndex;
       }
 
+      var hasChanged = index !== currentIndex;
       currentIndex = index;
 
-      // Translate the track
-      $track.css("transform", "translateX(-" + (currentIndex * 100) + "%)");
+      // Translate the track by whole slides
+      $track.css("transform", "translateX(-" + (currentIndex * 100 / visibleCount) + "%)");
 
       // Update ARIA on the carousel region
       $carousel.attr(
         "aria-label",
-        "Featured menu items - slide " + (currentIndex + 1) + " of " + totalSlides
+        settings.label + " - slide " + (currentIndex + 1) + " of " + items.length
       );
 
       // Update dots
@@ -238,34 +325,61 @@
           .toggleClass("active", isActive)
           .attr("aria-selected", String(isActive));
       });
+
+      if (!settings.loop) {
+        $btnPrev.prop("disabled", currentIndex === 0);
+        $btnNext.prop("disabled", currentIndex === lastIndex);
+      }
+
+      if (hasChanged && !silent) {
+        var item = items[currentIndex];
+        $status.text(
+          "Slide " + (currentIndex + 1) + " of " + items.length +
+          (item && item.name ? ": " + item.name : "")
+        );
+      }
+
+      if (hasChanged) {
+        $carousel.trigger("carousel:change", [{
+          index: currentIndex,
+          item: items[currentIndex],
+          total: items.length,
+        }]);
+      }
     }
 
     /**
      * Advance to the next slide.
      */
-    function nextSlide() {
-      goToSlide(currentIndex + 1);
+    function next() {
+      goTo(currentIndex + 1);
     }
 
     /**
      * Go back to the previous slide.
      */
-    function prevSlide() {
-      goToSlide(currentIndex - 1);
+    function prev() {
+      goTo(currentIndex - 1);
     }
 
     /**
-     * Start the auto-play interval if not already running.
+     * Start the auto-play interval if it is enabled and not already running.
      */
     function startAutoPlay() {
-      if (autoPlayTimer) {
+      if (autoPlayTimer || isStopped || settings.delay <= 0 || getLastIndex() === 0) {
         return;
       }
       autoPlayTimer = setInterval(function () {
-        if (!isPaused) {
-          nextSlide();
+        if (isPaused) {
+          return;
         }
-      }, AUTO_PLAY_DELAY);
+        // Without loop, auto-play ends on the last slide
+        if (!settings.loop && currentIndex === getLastIndex()) {
+          stopAutoPlay();
+          return;
+        }
+        goTo(currentIndex + 1, true);
+      }, settings.delay);
     }
 
     /**
@@ -278,48 +392,302 @@
       }
     }
 
-    // Prev / Next button clicks
-    $btnPrev.on("click", function () {
-      prevSlide();
-    });
+    /**
+     * Resume auto-play (the pause/play button's "Play").
+     */
+    function play() {
+      isStopped = false;
+      updateToggle();
+      startAutoPlay();
+    }
 
-    $btnNext.on("click", function () {
-      nextSlide();
-    });
+    /**
+     * Stop auto-play until the user presses play again.
+     */
+    function pause() {
+      isStopped = true;
+      updateToggle();
+      stopAutoPlay();
+    }
 
-    // Dot clicks
-    $dotsContainer.on("click", ".carousel-dot", function () {
-      var targetIndex = parseInt($(this).data("dot-index"), 10);
-      goToSlide(targetIndex);
-    });
+    /**
+     * Read the screen position of a mouse, pen or touch event.
+     * @param {Object} event - jQuery pointer or touch event
+     * @returns {{x: number, y: number}} Client coordinates
+     */
+    function getPoint(event) {
+      var original = event.originalEvent || event;
+      var touches = original.touches && original.touches.length ? original.touches : original.changedTouches;
+      var point = touches && touches.length ? touches[0] : original;
+      return { x: point.clientX, y: point.clientY };
+    }
 
-    // Keyboard navigation: Left/Right arrows when carousel or its children have focus
-    $carousel.on("keydown", function (event) {
-      if (event.key === "ArrowLeft") {
-        event.preventDefault();
-        prevSlide();
-      } else if (event.key === "ArrowRight") {
+    /**
+     * Start tracking a possible swipe or drag.
+     * @param {Object} event - pointerdown or touchstart event
+     */
+    function handleDragStart(event) {
+      var original = event.originalEvent || event;
+      if (getLastIndex() === 0 || (original.pointerType === "mouse" && original.button !== 0)) {
+        return;
+      }
+      var point = getPoint(event);
+      suppressClick = false;
+      drag = { startX: point.x, startY: point.y, deltaX: 0, isHorizontal: null };
+    }
+
+    /**
+     * Follow the finger or mouse so the track moves with the drag.
+     * Vertical movement is left alone so the page can still scroll.
+     * @param {Object} event - pointermove or touchmove event
+     */
+    function handleDragMove(event) {
+      if (!drag) {
+        return;
+      }
+      var point = getPoint(event);
+      var deltaX = point.x - drag.startX;
+      var deltaY = point.y - drag.startY;
+
+      if (drag.isHorizontal === null) {
+        if (Math.abs(deltaX) < DRAG_DIRECTION_SLOP && Math.abs(deltaY) < DRAG_DIRECTION_SLOP) {
+          return;
+        }
+        drag.isHorizontal = Math.abs(deltaX) > Math.abs(deltaY);
+        if (!drag.isHorizontal) {
+          drag = null;
+          return;
+        }
+        $carousel.addClass("is-dragging");
+      }
+
+      drag.deltaX = deltaX;
+      $track.css(
+        "transform",
+        "translateX(calc(-" + (currentIndex * 100 / visibleCount) + "% + " + deltaX + "px))"
+      );
+    }
+
+    /**
+     * Finish a drag: change slide if it passed the threshold, otherwise snap back.
+     */
+    function handleDragEnd() {
+      if (!drag) {
+        return;
+      }
+      var deltaX = drag.deltaX;
+      var wasDragging = drag.isHorizontal === true;
+      drag = null;
+      $carousel.removeClass("is-dragging");
+
+      if (!wasDragging) {
+        return;
+      }
+      // The click that follows a drag shouldn't follow a link or press a button
+      suppressClick = true;
+      if (Math.abs(deltaX) >= settings.swipeThreshold) {
+        if (deltaX < 0) {
+          next();
+        } else {
+          prev();
+        }
+      } else {
+        goTo(currentIndex);
+      }
+    }
+
+    /**
+     * Attach button, dot, keyboard, swipe, hover and resize handlers.
+     */
+    function bindEvents() {
+      $btnPrev.on("click" + namespace, prev);
+      $btnNext.on("click" + namespace, next);
+
+      // Dot clicks
+      $dotsContainer.on("click" + namespace, ".carousel-dot", function () {
+        goTo(parseInt($(this).data("dot-index"), 10));
+      });
+
+      // Keyboard navigation: Left/Right arrows when carousel or its children have focus
+      $carousel.on("keydown" + namespace, function (event) {
+        if (event.key === "ArrowLeft") {
+          event.preventDefault();
+          prev();
+        } else if (event.key === "ArrowRight") {
+          event.preventDefault();
+          next();
+        }
+      });
+
+      // Pause/play toggle
+      $toggle.on("click" + namespace, function () {
+        if (isStopped) {
+          play();
+        } else {
+          pause();
+        }
+      });
+
+      // Swipe and drag: pointer events where supported, touch events otherwise
+      if (window.PointerEvent) {
+        $track.on("pointerdown" + namespace, handleDragStart);
+        $(window)
+          .on("pointermove" + namespace, handleDragMove)
+          .on("pointerup" + namespace + " pointercancel" + namespace, handleDragEnd);
+      } else {
+        $track
+          .on("touchstart" + namespace, handleDragStart)
+          .on("touchmove" + namespace, handleDragMove)
+          .on("touchend" + namespace + " touchcancel" + namespace, handleDragEnd);
+      }
+
+      // Stop the browser's own image/link drag from hijacking a mouse swipe
+      $track.on("dragstart" + namespace, function (event) {
         event.preventDefault();
-        nextSlide();
+      });
+
+      $track.on("click" + namespace, function (event) {
+        if (suppressClick) {
+          suppressClick = false;
+          event.preventDefault();
+          event.stopPropagation();
+        }
+      });
+
+      // Pause auto-play on hover so users can read without the slide changing
+      $carousel.on("mouseenter" + namespace + " focusin" + namespace, function () {
+        isPaused = true;
+      });
+
+      $carousel.on("mouseleave" + namespace + " focusout" + namespace, function () {
+        isPaused = false;
+      });
+
+      // Crossing the mobile breakpoint changes how many slides fit
+      $(window).on("resize" + namespace, function () {
+        if (getSlidesPerView() !== visibleCount) {
+          render();
+          goTo(currentIndex);
+        }
+      });
+    }
+
+    /**
+     * Stop auto-play, remove this carousel's handlers, empty the container and
+     * return its classes and attributes to how they were before init.
+     */
+    function destroy() {
+      if (isDestroyed) {
+        return;
       }
-    });
+      isDestroyed = true;
+      stopAutoPlay();
+      $carousel.off(namespace);
+      $(window).off(namespace);
+      $carousel
+        .empty()
+        .removeClass("carousel--multi is-stopped is-dragging")
+        .toggleClass("carousel", hadCarouselClass)
+        .css("--carousel-slides-per-view", "");
+      $.each(originalAttrs, function (name, value) {
+        if (value === undefined) {
+          $carousel.removeAttr(name);
+        } else {
+          $carousel.attr(name, value);
+        }
+      });
+      if (!$carousel.attr("class")) {
+        $carousel.removeAttr("class");
+      }
+    }
 
-    // Pause auto-play on hover so users can read without the slide changing
-    $carousel.on("mouseenter focusin", function () {
-      isPaused = true;
+    /**
+     * Resolve the slide data from options.items or options.source.
+     * @returns {Promise<Array<Object>>} Slide items
+     */
+    function loadItems() {
+      if (typeof settings.source === "function") {
+        return Promise.resolve(settings.source());
+      }
+      return Promise.resolve(settings.items || []);
+    }
+
+    var ready = loadItems().then(function (loadedItems) {
+      items = Array.isArray(loadedItems) ? loadedItems : [];
+      if (isDestroyed) {
+        return items;
+      }
+      render();
+      bindEvents();
+      goTo(0);
+      startAutoPlay();
+      return items;
     });
 
-    $carousel.on("mouseleave focusout", function () {
-      isPaused = false;
+    return {
+      next: next,
+      prev: prev,
+      goTo: goTo,
+      getIndex: function () {
+        return currentIndex;
+      },
+      play: play,
+      pause: pause,
+      destroy: destroy,
+      ready: ready,
+    };
+  }
+
+  /**
+   * Load the catalog's featured products for the homepage carousel.
+   * @returns {Promise<Array<Object>>} Featured products
+   */
+  function loadFeaturedProducts() {
+    return window.CodeAndBrew.catalog.loadCatalog().then(function (catalog) {
+      return catalog.products.filter(function (product) {
+        return product.featured;
+      });
     });
+  }
+
+  /**
+   * Start the homepage featured-items carousel, or hide its section when
+   * there is nothing to show or the catalog can't be loaded.
+   */
+  function initFeaturedCarousel() {
+    var $featured = $("#featuredCarousel");
+    if ($featured.length === 0) {
+      return;
+    }
+
+    var hideSection = function () {
+      $featured.closest("section").prop("hidden", true);
+    };
 
-    // Set initial position and start auto-play
-    goToSlide(0);
-    startAutoPlay();
+    createCarousel($featured, {
+      source: loadFeaturedProducts,
+      label: "Featured menu items",
+    }).ready
+      .then(function (items) {
+        if (items.length === 0) {
+          hideSection();
+        }
+      })
+      .catch(function (err) {
+        console.error("Could not load featured items:", err);
+        hideSection();
+      });
   }
 
+  // Share with menu.js and future carousels (e.g. testimonials)
+  window.CodeAndBrew = window.CodeAndBrew || {};
+  window.CodeAndBrew.carousel = {
+    create: createCarousel,
+    buildProductSlide: buildProductSlideHtml,
+  };
+
   // Wait for DOM ready
   $(document).ready(function () {
-    initCarousel();
+    initFeaturedCarousel();
   });
 })(jQuery);
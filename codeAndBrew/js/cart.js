@@ -0,0 +1,429 @@
+/**
+ * Code & Brew - Shopping Cart
+ * Keeps the customer's order in localStorage and renders the nav cart badge
+ * and the slide-out cart drawer on every page that includes this file
+ *
+ * @format
+ */
+
+(function($) {
+    "use strict";
+
+    // Constants
+    const CART_KEY     = "cartItems";
+    const MAX_QUANTITY = 20;
+
+    // ===================================
+    // Cart Storage (localStorage)
+    // ===================================
+
+    /**
+     * Load all cart lines from localStorage
+     * @returns {Array<Object>} Array of cart line objects
+     */
+    function loadCart() {
+        try {
+            const raw = localStorage.getItem(CART_KEY);
+            return raw ? JSON.parse(raw) : [];
+        } catch (err) {
+            console.error("Could not read cart:", err);
+            return [];
+        }
+    }
+
+    /**
+     * Persist cart lines to localStorage and notify listeners
+     * @param {Array<Object>} lines - Cart lines to save
+     */
+    function saveCart(lines) {
+        try {
+            localStorage.setItem(CART_KEY, JSON.stringify(lines));
+        } catch (err) {
+            console.error("Could not save cart:", err);
+        }
+        $(document).trigger("cart:change", [lines]);
+    }
+
+    /**
+     * Clamp a quantity to the allowed range
+     * @param {number} quantity - Requested quantity
+     * @returns {number} Whole number between 0 and MAX_QUANTITY
+     */
+    function clampQuantity(quantity) {
+        const whole = Math.floor(Number(quantity) || 0);
+        return Math.max(0, Math.min(MAX_QUANTITY, whole));
+    }
+
+    /**
+     * Build the cart line key for a product; the same drink with different
+     * modifiers (e.g. Small vs. Large) gets its own line
+     * @param {Object} product - Catalog product, optionally with selected modifiers
+     * @returns {string} Line id e.g. "latte" or "latte|large,oat"
+     */
+    function buildLineId(product) {
+        const modifiers = product.modifiers || [];
+        if (modifiers.length === 0) return product.id;
+
+        const optionIds = [];
+        for (let i = 0; i < modifiers.length; i++) {
+            optionIds.push(modifiers[i].optionId);
+        }
+        return product.id + "|" + optionIds.join(",");
+    }
+
+    /**
+     * Add a catalog product to the cart, or increase its quantity if it is already there
+     * @param {Object} product - Catalog product { id, name, price, icon, modifiers? };
+     *     price is the final unit price including any modifier price changes
+     * @param {number} [quantity=1] - How many to add
+     * @returns {Object|null} The updated cart line, or null if the product is invalid
+     *     or the quantity is less than 1
+     */
+    function addItem(product, quantity) {
+        if (!product || !product.id || typeof product.price !== "number") {
+            console.error("Cannot add invalid product to cart:", product);
+            return null;
+        }
+
+        const amount = clampQuantity(quantity === undefined ? 1 : quantity);
+        if (amount <= 0) return null;
+
+        const lines = loadCart();
+        const lineId = buildLineId(product);
+        let line = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].lineId === lineId) {
+                line = lines[i];
+                break;
+            }
+        }
+
+        if (line) {
+            line.quantity = clampQuantity(line.quantity + amount);
+        } else {
+            line = {
+                lineId:    lineId,
+                productId: product.id,
+                name:      product.name,
+                icon:      product.icon || "",
+                modifiers: product.modifiers || [],
+                unitPrice: product.price,
+                quantity:  amount
+            };
+            lines.push(line);
+        }
+
+        saveCart(lines);
+        return line;
+    }
+
+    /**
+     * Set the quantity of a cart line; a quantity of 0 removes the line
+     * @param {string} lineId - Line to update
+     * @param {number} quantity - New quantity
+     * @returns {boolean} True if the line was found
+     */
+    function updateQuantity(lineId, quantity) {
+        const lines = loadCart();
+        const next = [];
+        let found = false;
+
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].lineId === lineId) {
+                found = true;
+                lines[i].quantity = clampQuantity(quantity);
+                if (lines[i].quantity === 0) continue;
+            }
+            next.push(lines[i]);
+        }
+
+        if (found) saveCart(next);
+        return found;
+    }
+
+    /**
+     * Remove a line from the cart
+     * @param {string} lineId - Line to remove
+     * @returns {boolean} True if the line was found and removed
+     */
+    function removeItem(lineId) {
+        return updateQuantity(lineId, 0);
+    }
+
+    /**
+     * Remove every line from the cart
+     */
+    function clearCart() {
+        saveCart([]);
+    }
+
+    /**
+     * Count the total number of items in the cart
+     * @param {Array<Object>} [lines] - Cart lines (defaults to the saved cart)
+     * @returns {number} Sum of all line quantities
+     */
+    function getItemCount(lines) {
+        lines = lines || loadCart();
+        let count = 0;
+        for (let i = 0; i < lines.length; i++) {
+            count += lines[i].quantity;
+        }
+        return count;
+    }
+
+    /**
+     * Calculate the cart subtotal, summed in cents to avoid floating point drift
+     * @param {Array<Object>} [lines] - Cart lines (defaults to the saved cart)
+     * @returns {number} Subtotal in dollars
+     */
+    function getSubtotal(lines) {
+        lines = lines || loadCart();
+        let cents = 0;
+        for (let i = 0; i < lines.length; i++) {
+            cents += Math.round(lines[i].unitPrice * 100) * lines[i].quantity;
+        }
+        return cents / 100;
+    }
+
+    // ===================================
+    // UI Helpers
+    // ===================================
+
+    // HTML escaping shared from script.js
+    const escapeHtml = window.CodeAndBrew.utils.escapeHtml;
+
+    /**
+     * Format a dollar amount for display
+     * @param {number} amount - Amount in dollars
+     * @returns {string} Formatted price e.g. "$4.50"
+     */
+    function formatPrice(amount) {
+        return "$" + amount.toFixed(2);
+    }
+
+    /**
+     * Build the cart drawer and overlay and append them to the page
+     */
+    function buildDrawer() {
+        if ($("#cartDrawer").length) return;
+
+        $("body").append(
+            '<div class="cart-overlay" id="cartOverlay" aria-hidden="true"></div>' +
+            '<aside class="cart-drawer" id="cartDrawer" role="dialog" aria-modal="true" ' +
+            'aria-labelledby="cart-drawer-heading" aria-hidden="true" tabindex="-1">' +
+            '<div class="cart-drawer-header">' +
+            '<h2 class="cart-drawer-title" id="cart-drawer-heading">Your Order</h2>' +
+            '<button type="button" class="cart-close" aria-label="Close cart">&times;</button>' +
+            "</div>" +
+            '<div class="cart-drawer-body">' +
+            '<p class="cart-empty">Your cart is empty. Add something tasty from the menu!</p>' +
+            '<ul class="cart-lines" aria-label="Items in your order"></ul>' +
+            "</div>" +
+            '<div class="cart-drawer-footer">' +
+            '<p class="cart-subtotal" aria-live="polite">' +
+            'Subtotal <span class="cart-subtotal-amount">$0.00</span>' +
+            "</p>" +
+            '<button type="button" class="btn btn-outline cart-clear">Clear Cart</button>' +
+            "</div>" +
+            "</aside>"
+        );
+    }
+
+    /**
+     * Build the line's chosen modifiers (e.g. "Large, Oat Milk"), shared with
+     * the checkout summary so both show the same thing
+     * @param {Object} line - Cart line or order item
+     * @returns {string} HTML for the options, or "" when there are none
+     */
+    function buildOptionsHtml(line) {
+        const modifiers = line.modifiers || [];
+        const optionLabels = [];
+
+        for (let i = 0; i < modifiers.length; i++) {
+            optionLabels.push(escapeHtml(modifiers[i].optionLabel));
+        }
+
+        return optionLabels.length ? '<span class="cart-line-options">' + optionLabels.join(", ") + "</span>" : "";
+    }
+
+    /**
+     * Build the HTML for a single cart line
+     * @param {Object} line - Cart line object
+     * @returns {string} HTML string for the list item
+     */
+    function buildLineHtml(line) {
+        const name = escapeHtml(line.name);
+        const lineId = escapeHtml(line.lineId);
+        const lineTotal = Math.round(line.unitPrice * 100) * line.quantity / 100;
+
+        return (
+            '<li class="cart-line" data-line-id="' + lineId + '">' +
+            '<span class="cart-line-icon" aria-hidden="true">' + escapeHtml(line.icon) + "</span>" +
+            '<div class="cart-line-info">' +
+            '<span class="cart-line-name">' + name + "</span>" +
+            buildOptionsHtml(line) +
+            '<span class="cart-line-price">' + formatPrice(line.unitPrice) + " each</span>" +
+            "</div>" +
+            '<div class="cart-line-quantity">' +
+            '<button type="button" class="cart-qty-btn cart-qty-decrease" aria-label="Remove one ' + name + '">&minus;</button>' +
+            '<span class="cart-qty-value" aria-label="Quantity">' + line.quantity + "</span>" +
+            '<button type="button" class="cart-qty-btn cart-qty-increase" aria-label="Add one more ' + name + '"' +
+            (line.quantity >= MAX_QUANTITY ? " disabled" : "") + ">+</button>" +
+            "</div>" +
+            '<span class="cart-line-total">' + formatPrice(lineTotal) + "</span>" +
+            '<button type="button" class="cart-line-remove" aria-label="Remove ' + name + ' from order">Remove</button>' +
+            "</li>"
+        );
+    }
+
+    /**
+     * Render the nav badge count
+     * @param {Array<Object>} lines - Current cart lines
+     */
+    function renderBadge(lines) {
+        const count = getItemCount(lines);
+        const $toggle = $(".cart-toggle");
+
+        $toggle.find(".cart-badge").text(count).toggleClass("is-empty", count === 0);
+        $toggle.attr("aria-label", "Open cart, " + count + (count === 1 ? " item" : " items"));
+    }
+
+    /**
+     * Render the cart lines and subtotal into the drawer
+     * @param {Array<Object>} lines - Current cart lines
+     */
+    function renderCart(lines) {
+        const $drawer = $("#cartDrawer");
+        let html = "";
+
+        for (let i = 0; i < lines.length; i++) {
+            html += buildLineHtml(lines[i]);
+        }
+
+        $drawer.find(".cart-lines").html(html);
+        $drawer.find(".cart-empty").toggle(lines.length === 0);
+        $drawer.find(".cart-clear").prop("disabled", lines.length === 0);
+        $drawer.find(".cart-subtotal-amount").text(formatPrice(getSubtotal(lines)));
+
+        renderBadge(lines);
+    }
+
+    /**
+     * Open the cart drawer and move focus into it
+     */
+    function openDrawer() {
+        $("#cartDrawer").addClass("active").attr("aria-hidden", "false").trigger("focus");
+        $("#cartOverlay").addClass("active");
+        $(".cart-toggle").attr("aria-expanded", "true");
+        document.body.style.overflow = "hidden";
+    }
+
+    /**
+     * Close the cart drawer and return focus to the nav toggle
+     */
+    function closeDrawer() {
+        const $drawer = $("#cartDrawer");
+        if (!$drawer.hasClass("active")) return;
+
+        $drawer.removeClass("active").attr("aria-hidden", "true");
+        $("#cartOverlay").removeClass("active");
+        $(".cart-toggle").attr("aria-expanded", "false").first().trigger("focus");
+        document.body.style.overflow = "";
+        $(document).trigger("cart:close");
+    }
+
+    // ===================================
+    // Event Handlers
+    // ===================================
+
+    /**
+     * Handle the +/- quantity buttons and Remove button on a cart line
+     */
+    function handleLineClick() {
+        const $button = $(this);
+        const lineId = $button.closest(".cart-line").attr("data-line-id");
+        const lines = loadCart();
+        let line = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].lineId === lineId) line = lines[i];
+        }
+        if (!line) return;
+
+        if ($button.hasClass("cart-qty-increase")) {
+            updateQuantity(lineId, line.quantity + 1);
+        } else if ($button.hasClass("cart-qty-decrease")) {
+            updateQuantity(lineId, line.quantity - 1);
+        } else {
+            removeItem(lineId);
+        }
+
+        // Keep keyboard focus inside the drawer after the list re-renders
+        $("#cartDrawer").trigger("focus");
+    }
+
+    /**
+     * Handle Clear Cart — confirm then empty the cart
+     */
+    function handleClearClick() {
+        if (confirm("Remove all items from your order?")) {
+            clearCart();
+        }
+    }
+
+    // ===================================
+    // Initialisation
+    // ===================================
+
+    /**
+     * Build the drawer, render the saved cart and bind all event listeners
+     */
+    function init() {
+        buildDrawer();
+        renderCart(loadCart());
+
+        $(".cart-toggle").on("click", openDrawer);
+        $("#cartOverlay").on("click", closeDrawer);
+        $("#cartDrawer").on("click", ".cart-close", closeDrawer);
+        $("#cartDrawer").on("click", ".cart-qty-btn, .cart-line-remove", handleLineClick);
+        $("#cartDrawer").on("click", ".cart-clear", handleClearClick);
+
+        $(document).on("keydown", function(e) {
+            if (e.key === "Escape" || e.key === "Esc") closeDrawer();
+        });
+
+        // Re-render whenever this page changes the cart
+        $(document).on("cart:change", function(e, lines) {
+            renderCart(lines);
+        });
+
+        // Keep open tabs in sync when another page changes the cart
+        $(window).on("storage", function(e) {
+            if (e.originalEvent.key === CART_KEY) {
+                $(document).trigger("cart:change", [loadCart()]);
+            }
+        });
+    }
+
+    // Public API for other feature files (e.g. menu.js "Add to Order" buttons)
+    window.CodeAndBrew = window.CodeAndBrew || {};
+    window.CodeAndBrew.cart = {
+        addItem:        addItem,
+        updateQuantity: updateQuantity,
+        removeItem:     removeItem,
+        clear:          clearCart,
+        getLines:       loadCart,
+        getItemCount:   getItemCount,
+        getSubtotal:    getSubtotal,
+        getOptionsHtml: buildOptionsHtml,
+        open:           openDrawer,
+        close:          closeDrawer
+    };
+
+    // Wait for DOM ready
+    $(document).ready(function() {
+        init();
+    });
+
+})(jQuery);
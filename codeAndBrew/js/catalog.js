@@ -0,0 +1,407 @@
+/**
+ * Code & Brew - Product Catalog
+ * Loads catalogProducts.json and checks every product before a page renders it,
+ * so one bad entry is skipped and reported instead of breaking the page
+ *
+ * @format
+ */
+
+(function() {
+    "use strict";
+
+    // catalogProducts.json sits next to this file; resolving against the script's
+    // own URL lets pages at any folder depth load it
+    const CATALOG_URL = document.currentScript && document.currentScript.src
+        ? new URL("catalogProducts.json", document.currentScript.src).href
+        : "js/catalogProducts.json";
+
+    // Categories the menu knows how to display
+    const KNOWN_CATEGORIES = ["Espresso Drinks", "Cold Brew", "Pastries", "Specialty Drinks"];
+
+    // Text fields every product must have
+    const REQUIRED_TEXT_FIELDS = ["id", "name", "description", "category", "icon"];
+
+    // Optional fields that must be lists of strings when present
+    const STRING_LIST_FIELDS = ["dietary", "allergens", "ingredients", "modifierGroups"];
+
+    // Optional fields that must be non-negative numbers when present
+    const NUMBER_FIELDS = ["calories", "caffeineMg"];
+
+    // Ways a modifier group can be chosen: radios or checkboxes
+    const MODIFIER_SELECTIONS = ["single", "multiple"];
+
+    // Formats for availability windows: "07:30" and "2026-12-24"
+    const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+    /**
+     * Check that a value is a string with visible content
+     * @param {*} value - Value to test
+     * @returns {boolean} True for non-blank strings
+     */
+    function isNonEmptyString(value) {
+        return typeof value === "string" && value.trim() !== "";
+    }
+
+    /**
+     * Allow only web and relative image URLs, so a catalog entry can't
+     * smuggle in a "javascript:" or "data:" URL
+     * @param {string} url - Image URL from the catalog
+     * @returns {boolean} True if the URL is safe to use in an src attribute
+     */
+    function isSafeImageUrl(url) {
+        if (!isNonEmptyString(url)) return false;
+        const scheme = url.trim().match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || scheme[1].toLowerCase() === "http" || scheme[1].toLowerCase() === "https";
+    }
+
+    /**
+     * List problems with a product's optional availability window
+     * @param {*} availability - Value of the product's "availability" field
+     * @returns {Array<string>} Problems found; empty when the window is valid
+     */
+    function validateAvailability(availability) {
+        if (!availability || typeof availability !== "object" || Array.isArray(availability)) {
+            return ["\"availability\" must be an object"];
+        }
+
+        const problems = [];
+
+        ["startTime", "endTime"].forEach(function(field) {
+            const value = availability[field];
+            if (value !== undefined && !CLOCK_TIME_PATTERN.test(value)) {
+                problems.push("\"availability." + field + "\" must be a 24-hour time like \"07:30\"");
+            }
+        });
+        if ((availability.startTime === undefined) !== (availability.endTime === undefined)) {
+            problems.push("\"availability\" needs both startTime and endTime");
+        }
+
+        ["startDate", "endDate"].forEach(function(field) {
+            const value = availability[field];
+            if (value !== undefined && !DATE_PATTERN.test(value)) {
+                problems.push("\"availability." + field + "\" must be a date like \"2026-12-24\"");
+            }
+        });
+        if (DATE_PATTERN.test(availability.startDate) && DATE_PATTERN.test(availability.endDate) &&
+            availability.startDate > availability.endDate) {
+            problems.push("\"availability.startDate\" is after endDate");
+        }
+
+        if (availability.hideWhenUnavailable !== undefined && typeof availability.hideWhenUnavailable !== "boolean") {
+            problems.push("\"availability.hideWhenUnavailable\" must be true or false");
+        }
+
+        return problems;
+    }
+
+    /**
+     * List everything wrong with one modifier group, e.g. "size" or "milk"
+     * @param {Object} group - Raw entry from the catalog's modifierGroups
+     * @returns {Array<string>} Problems found; empty when the group is valid
+     */
+    function validateModifierGroup(group) {
+        if (!group || typeof group !== "object" || Array.isArray(group)) {
+            return ["group is not an object"];
+        }
+
+        const problems = [];
+
+        if (!isNonEmptyString(group.label)) {
+            problems.push("\"label\" is missing or empty");
+        }
+        if (group.selection !== undefined && MODIFIER_SELECTIONS.indexOf(group.selection) === -1) {
+            problems.push("\"selection\" must be \"single\" or \"multiple\"");
+        }
+        if (group.required !== undefined && typeof group.required !== "boolean") {
+            problems.push("\"required\" must be true or false");
+        }
+        if (group.maxSelections !== undefined &&
+            (typeof group.maxSelections !== "number" || !Number.isInteger(group.maxSelections) || group.maxSelections < 1)) {
+            problems.push("\"maxSelections\" must be a whole number of 1 or more");
+        }
+
+        if (!Array.isArray(group.options) || group.options.length === 0) {
+            problems.push("\"options\" must be a non-empty list");
+            return problems;
+        }
+
+        const optionIds = [];
+        group.options.forEach(function(option, index) {
+            const label = "option #" + (index + 1);
+            if (!option || typeof option !== "object" || Array.isArray(option)) {
+                problems.push(label + " is not an object");
+                return;
+            }
+            if (!isNonEmptyString(option.id)) {
+                problems.push(label + " \"id\" is missing or empty");
+            } else if (optionIds.indexOf(option.id) !== -1) {
+                problems.push(label + " has duplicate id \"" + option.id + "\"");
+            } else {
+                optionIds.push(option.id);
+            }
+            if (!isNonEmptyString(option.label)) {
+                problems.push(label + " \"label\" is missing or empty");
+            }
+            if (typeof option.priceDelta !== "number" || !isFinite(option.priceDelta)) {
+                problems.push(label + " \"priceDelta\" must be a number");
+            }
+        });
+
+        if (group.default !== undefined && optionIds.indexOf(group.default) === -1) {
+            problems.push("\"default\" is not one of the group's option ids");
+        }
+
+        return problems;
+    }
+
+    /**
+     * List everything wrong with one product
+     * @param {Object} product - Raw catalog entry
+     * @param {Set<string>} seenIds - Ids of the valid products checked so far
+     * @returns {Array<string>} Problems found; empty when the product is valid
+     */
+    function validateProduct(product, seenIds) {
+        if (!product || typeof product !== "object" || Array.isArray(product)) {
+            return ["entry is not an object"];
+        }
+
+        const problems = [];
+
+        REQUIRED_TEXT_FIELDS.forEach(function(field) {
+            if (!isNonEmptyString(product[field])) {
+                problems.push("\"" + field + "\" is missing or empty");
+            }
+        });
+
+        if (typeof product.price !== "number" || !isFinite(product.price) || product.price < 0) {
+            problems.push("\"price\" must be a number of 0 or more");
+        }
+
+        if (isNonEmptyString(product.category) && KNOWN_CATEGORIES.indexOf(product.category) === -1) {
+            problems.push("unknown category \"" + product.category + "\"");
+        }
+
+        if (isNonEmptyString(product.id) && seenIds.has(product.id)) {
+            problems.push("duplicate id \"" + product.id + "\"");
+        }
+
+        if (product.featured !== undefined && typeof product.featured !== "boolean") {
+            problems.push("\"featured\" must be true or false");
+        }
+
+        if (product.image !== undefined && !isSafeImageUrl(product.image)) {
+            problems.push("\"image\" must be an http(s) or relative URL");
+        }
+
+        STRING_LIST_FIELDS.forEach(function(field) {
+            const value = product[field];
+            if (value !== undefined && (!Array.isArray(value) || !value.every(isNonEmptyString))) {
+                problems.push("\"" + field + "\" must be a list of text values");
+            }
+        });
+
+        NUMBER_FIELDS.forEach(function(field) {
+            const value = product[field];
+            if (value !== undefined && (typeof value !== "number" || !isFinite(value) || value < 0)) {
+                problems.push("\"" + field + "\" must be a number of 0 or more");
+            }
+        });
+
+        if (product.availability !== undefined) {
+            Array.prototype.push.apply(problems, validateAvailability(product.availability));
+        }
+
+        return problems;
+    }
+
+    /**
+     * Split catalog data into valid products and modifier groups plus a report
+     * of skipped entries. Skipped groups carry the group's key in "group".
+     * @param {Object} data - Parsed catalogProducts.json
+     * @returns {{products: Array<Object>, modifierGroups: Object, errors: Array<{index: number, id: string, group?: string, problems: Array<string>}>}}
+     */
+    function validateCatalog(data) {
+        const rawProducts = data && Array.isArray(data.products) ? data.products : [];
+        const rawGroups = data && data.modifierGroups;
+        const seenIds = new Set();
+        const products = [];
+        const modifierGroups = {};
+        const errors = [];
+
+        if (!data || !Array.isArray(data.products)) {
+            errors.push({ index: -1, id: "", problems: ["catalog has no \"products\" list"] });
+        }
+
+        if (rawGroups !== undefined && (!rawGroups || typeof rawGroups !== "object" || Array.isArray(rawGroups))) {
+            errors.push({ index: -1, id: "", problems: ["\"modifierGroups\" must be an object"] });
+        } else if (rawGroups) {
+            Object.keys(rawGroups).forEach(function(groupId) {
+                const problems = validateModifierGroup(rawGroups[groupId]);
+                if (problems.length > 0) {
+                    errors.push({ index: -1, id: "", group: groupId, problems: problems });
+                    return;
+                }
+                modifierGroups[groupId] = rawGroups[groupId];
+            });
+        }
+
+        rawProducts.forEach(function(product, index) {
+            const problems = validateProduct(product, seenIds);
+            if (problems.length > 0) {
+                errors.push({
+                    index: index,
+                    id: product && isNonEmptyString(product.id) ? product.id : "",
+                    problems: problems
+                });
+                return;
+            }
+            seenIds.add(product.id);
+            products.push(product);
+        });
+
+        return {
+            products: products,
+            modifierGroups: modifierGroups,
+            errors: errors
+        };
+    }
+
+    /**
+     * Describe one skipped entry in a single line, e.g.
+     * 'Product #3 ("latte"): "price" must be a number of 0 or more'
+     * @param {Object} error - Entry from validateCatalog().errors
+     * @returns {string} Readable summary
+     */
+    function describeError(error) {
+        let label;
+        if (error.group) {
+            label = "Modifier group \"" + error.group + "\"";
+        } else if (error.index < 0) {
+            label = "Catalog";
+        } else {
+            label = "Product #" + (error.index + 1) + (error.id ? " (\"" + error.id + "\")" : "");
+        }
+        return label + ": " + error.problems.join("; ");
+    }
+
+    /**
+     * Convert a validated 24-hour time to minutes after midnight
+     * @param {string} value - Time such as "07:30"
+     * @returns {number} e.g. 450
+     */
+    function parseClockTime(value) {
+        const parts = value.split(":").map(Number);
+        return parts[0] * 60 + parts[1];
+    }
+
+    /**
+     * Split minutes after midnight into a compact clock time and its period
+     * @param {number} totalMinutes - Minutes after midnight
+     * @returns {{text: string, period: string}} e.g. { text: "7:30", period: "AM" }
+     */
+    function formatClockTime(totalMinutes) {
+        const hours24 = Math.floor(totalMinutes / 60) % 24;
+        const minutes = totalMinutes % 60;
+        const hours12 = hours24 % 12 || 12;
+        return {
+            text: minutes ? hours12 + ":" + String(minutes).padStart(2, "0") : String(hours12),
+            period: hours24 < 12 ? "AM" : "PM"
+        };
+    }
+
+    /**
+     * Format an availability window, naming the period once when both ends share it
+     * @param {string} startTime - Start as "HH:MM"
+     * @param {string} endTime - End as "HH:MM"
+     * @returns {string} e.g. "7–11 AM" or "11 AM–2:30 PM"
+     */
+    function formatTimeWindow(startTime, endTime) {
+        const start = formatClockTime(parseClockTime(startTime));
+        const end = formatClockTime(parseClockTime(endTime));
+        if (start.period === end.period) {
+            return start.text + "–" + end.text + " " + end.period;
+        }
+        return start.text + " " + start.period + "–" + end.text + " " + end.period;
+    }
+
+    /**
+     * Work out whether a product can be ordered at a store time. Outside its
+     * date range a product is hidden; outside its daily time window it is
+     * shown as unavailable, or hidden when it sets "hideWhenUnavailable".
+     * @param {Object} product - Validated catalog product
+     * @param {Object} now - Store time from CodeAndBrew.storeHours.getCurrentStoreTime()
+     * @returns {{visible: boolean, orderable: boolean, label: string}}
+     */
+    function getAvailability(product, now) {
+        const availability = product.availability;
+        if (!availability) {
+            return { visible: true, orderable: true, label: "" };
+        }
+
+        if ((availability.startDate && now.date < availability.startDate) ||
+            (availability.endDate && now.date > availability.endDate)) {
+            return { visible: false, orderable: false, label: "" };
+        }
+
+        if (!availability.startTime || !availability.endTime) {
+            return { visible: true, orderable: true, label: "" };
+        }
+
+        const start = parseClockTime(availability.startTime);
+        const end = parseClockTime(availability.endTime);
+        const current = now.hour * 60 + now.minute;
+        // A window such as 22:00–02:00 runs past midnight
+        const isInWindow = start <= end
+            ? current >= start && current < end
+            : current >= start || current < end;
+
+        return {
+            visible: isInWindow || !availability.hideWhenUnavailable,
+            orderable: isInWindow,
+            label: "Available from " + formatTimeWindow(availability.startTime, availability.endTime)
+        };
+    }
+
+    /**
+     * Format a numeric catalog price for display
+     * @param {number} price - Price in dollars
+     * @returns {string} e.g. "$4.50"
+     */
+    function formatPrice(price) {
+        return "$" + Number(price).toFixed(2);
+    }
+
+    /**
+     * Fetch and validate the product catalog. Skipped entries are logged
+     * with console.warn; callers decide whether to show them on the page.
+     * @returns {Promise<{products: Array<Object>, modifierGroups: Object, errors: Array<Object>}>}
+     *     Rejects when the file can't be fetched or parsed
+     */
+    async function loadCatalog() {
+        const response = await fetch(CATALOG_URL);
+        if (!response.ok) {
+            throw new Error("Failed to load catalog (" + response.status + ")");
+        }
+
+        const catalog = validateCatalog(await response.json());
+        if (catalog.errors.length > 0) {
+            console.warn("Skipped " + catalog.errors.length + " invalid catalog " +
+                (catalog.errors.length === 1 ? "entry" : "entries") + ":\n" +
+                catalog.errors.map(describeError).join("\n"));
+        }
+        return catalog;
+    }
+
+    // Share with menu.js, carousel.js, checkout.js and other catalog pages
+    window.CodeAndBrew = window.CodeAndBrew || {};
+    window.CodeAndBrew.catalog = {
+        KNOWN_CATEGORIES: KNOWN_CATEGORIES,
+        loadCatalog: loadCatalog,
+        validateCatalog: validateCatalog,
+        describeError: describeError,
+        isSafeImageUrl: isSafeImageUrl,
+        getAvailability: getAvailability,
+        formatPrice: formatPrice
+    };
+})();
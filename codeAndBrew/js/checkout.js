@@ -0,0 +1,428 @@
+/**
+ * Code & Brew - Checkout
+ * Adds a checkout step to the cart drawer: pick a pickup time within today's
+ * remaining store hours, review tax and total, and save the order to localStorage
+ *
+ * @format
+ */
+
+(function($) {
+    "use strict";
+
+    // Constants
+    const ORDERS_KEY           = "orders";
+    const PICKUP_SLOT_MINUTES  = 15;
+    const PICKUP_LEAD_MINUTES  = 10; // Time the baristas need before the first slot
+    const FIRST_ORDER_NUMBER   = 1001;
+    const MINUTES_PER_DAY      = 24 * 60;
+
+    // ===================================
+    // Pickup Time Slots
+    // ===================================
+
+    /**
+     * Build today's remaining pickup slots from the store schedule in script.js.
+     * Slots start once the store is open (and after the prep lead time), the
+     * last slot in each open interval is one slot length before it closes, and
+     * no slot runs past midnight.
+     * @returns {Array<Object>} Array of { minutes, value, label } slot objects
+     */
+    function getPickupSlots() {
+        const storeHours = window.CodeAndBrew && window.CodeAndBrew.storeHours;
+        if (!storeHours) return [];
+
+        const now = storeHours.getCurrentStoreTime();
+        const earliest = now.hour * 60 + now.minute + PICKUP_LEAD_MINUTES;
+        const slots = [];
+
+        storeHours.getOpenIntervals(now.date, 0).forEach(function(interval) {
+            const closeMinutes = Math.min(interval.close, MINUTES_PER_DAY);
+
+            // Round up to the next slot boundary
+            let start = Math.max(interval.open, Math.ceil(earliest / PICKUP_SLOT_MINUTES) * PICKUP_SLOT_MINUTES);
+
+            for (; start <= closeMinutes - PICKUP_SLOT_MINUTES; start += PICKUP_SLOT_MINUTES) {
+                slots.push({
+                    minutes: start,
+                    value:   String(start),
+                    label:   storeHours.formatTime(start)
+                });
+            }
+        });
+
+        return slots;
+    }
+
+    // ===================================
+    // Orders Storage (localStorage)
+    // ===================================
+
+    /**
+     * Load all saved orders from localStorage
+     * @returns {Array<Object>} Array of order records
+     */
+    function loadOrders() {
+        try {
+            const raw = localStorage.getItem(ORDERS_KEY);
+            return raw ? JSON.parse(raw) : [];
+        } catch (err) {
+            console.error("Could not read orders:", err);
+            return [];
+        }
+    }
+
+    /**
+     * Persist orders array to localStorage
+     * @param {Array<Object>} orders - Order records to save
+     * @returns {boolean} True if the orders were saved
+     */
+    function saveOrders(orders) {
+        try {
+            localStorage.setItem(ORDERS_KEY, JSON.stringify(orders));
+            return true;
+        } catch (err) {
+            console.error("Could not save orders:", err);
+            return false;
+        }
+    }
+
+    /**
+     * Get the sales tax rate of the shop the order is picked up from
+     * @returns {number} Rate as a fraction, e.g. 0.055
+     */
+    function getTaxRate() {
+        return window.CodeAndBrew.storeHours.getSelectedLocation().taxRate;
+    }
+
+    /**
+     * Calculate subtotal, tax and total for a set of cart lines
+     * @param {Array<Object>} lines - Cart lines
+     * @param {number} taxRate - Sales tax rate as a fraction
+     * @returns {Object} { subtotal, taxRate, tax, total } in dollars
+     */
+    function calculateTotals(lines, taxRate) {
+        let subtotalCents = 0;
+        for (let i = 0; i < lines.length; i++) {
+            subtotalCents += Math.round(lines[i].unitPrice * 100) * lines[i].quantity;
+        }
+        const taxCents = Math.round(subtotalCents * taxRate);
+
+        return {
+            subtotal: subtotalCents / 100,
+            taxRate:  taxRate,
+            tax:      taxCents / 100,
+            total:    (subtotalCents + taxCents) / 100
+        };
+    }
+
+    /**
+     * Create and save an order record from the cart lines and chosen slot
+     * @param {Array<Object>} lines - Cart lines being ordered
+     * @param {Object} slot - Pickup slot { minutes, label }
+     * @returns {Object|null} The saved order, or null if it could not be saved
+     */
+    function createOrder(lines, slot) {
+        const orders = loadOrders();
+        const storeHours = window.CodeAndBrew.storeHours;
+        const totals = calculateTotals(lines, getTaxRate());
+
+        const order = {
+            orderNumber: "CB-" + (FIRST_ORDER_NUMBER + orders.length),
+            createdAt:   new Date().toISOString(),
+            items:       lines,
+            subtotal:    totals.subtotal,
+            taxRate:     totals.taxRate,
+            tax:         totals.tax,
+            total:       totals.total,
+            pickup: {
+                location: storeHours.getSelectedLocation().name,
+                date:  storeHours.getCurrentStoreTime().date,
+                time:  slot.minutes,
+                label: slot.label
+            }
+        };
+
+        orders.push(order);
+        return saveOrders(orders) ? order : null;
+    }
+
+    // ===================================
+    // UI Helpers
+    // ===================================
+
+    // HTML escaping shared from script.js
+    const escapeHtml = window.CodeAndBrew.utils.escapeHtml;
+
+    /**
+     * Format a dollar amount for display
+     * @param {number} amount - Amount in dollars
+     * @returns {string} Formatted price e.g. "$4.50"
+     */
+    function formatPrice(amount) {
+        return "$" + amount.toFixed(2);
+    }
+
+    /**
+     * Build the summary rows (items, subtotal, tax, total) shared by checkout and confirmation
+     * @param {Array<Object>} lines - Cart lines
+     * @param {Object} totals - { subtotal, taxRate, tax, total }
+     * @returns {string} HTML string
+     */
+    function buildSummaryHtml(lines, totals) {
+        let itemsHtml = "";
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const lineTotal = Math.round(line.unitPrice * 100) * line.quantity / 100;
+            itemsHtml +=
+                "<li>" +
+                "<span>" + line.quantity + " &times; " + escapeHtml(line.name) +
+                window.CodeAndBrew.cart.getOptionsHtml(line) + "</span>" +
+                "<span>" + formatPrice(lineTotal) + "</span>" +
+                "</li>";
+        }
+
+        return (
+            '<ul class="checkout-items">' + itemsHtml + "</ul>" +
+            '<dl class="checkout-totals">' +
+            "<div><dt>Subtotal</dt><dd>" + formatPrice(totals.subtotal) + "</dd></div>" +
+            "<div><dt>Tax (" + (totals.taxRate * 100).toFixed(1) + "%)</dt><dd>" + formatPrice(totals.tax) + "</dd></div>" +
+            '<div class="checkout-total"><dt>Total</dt><dd>' + formatPrice(totals.total) + "</dd></div>" +
+            "</dl>"
+        );
+    }
+
+    /**
+     * Swap the drawer between the cart view and the checkout panel
+     * @param {boolean} showCheckout - True to show the checkout panel
+     */
+    function toggleCheckoutPanel(showCheckout) {
+        const $drawer = $("#cartDrawer");
+        $drawer.find(".cart-drawer-body, .cart-drawer-footer").prop("hidden", showCheckout);
+        $drawer.find(".checkout-panel").prop("hidden", !showCheckout);
+    }
+
+    /**
+     * Render the checkout step: order summary, pickup time select and Place Order button
+     */
+    function renderCheckout() {
+        const cart = window.CodeAndBrew.cart;
+        const lines = cart.getLines();
+        const slots = getPickupSlots();
+        const $panel = $("#cartDrawer .checkout-panel");
+
+        let pickupHtml = "";
+        if (slots.length === 0) {
+            pickupHtml =
+                '<p class="checkout-closed" role="alert">' +
+                "Sorry, there are no pickup times left today. Please order again during store hours." +
+                "</p>";
+        } else {
+            let optionsHtml = "";
+            for (let i = 0; i < slots.length; i++) {
+                optionsHtml += '<option value="' + slots[i].value + '">' + slots[i].label + "</option>";
+            }
+            pickupHtml =
+                '<label for="pickupTime" class="checkout-label">Pickup time (today)</label>' +
+                '<select id="pickupTime" class="checkout-select" required>' + optionsHtml + "</select>";
+        }
+
+        $panel.html(
+            '<h3 class="checkout-heading" tabindex="-1">Checkout</h3>' +
+            '<form class="checkout-form" novalidate>' +
+            buildSummaryHtml(lines, calculateTotals(lines, getTaxRate())) +
+            '<div class="checkout-field">' + pickupHtml + "</div>" +
+            '<p class="checkout-error" role="alert"></p>' +
+            '<div class="checkout-actions">' +
+            '<button type="button" class="btn btn-outline checkout-back">Back to Cart</button>' +
+            '<button type="submit" class="btn btn-primary checkout-place"' +
+            (slots.length === 0 ? " disabled" : "") + ">Place Order</button>" +
+            "</div>" +
+            "</form>"
+        );
+
+        toggleCheckoutPanel(true);
+        $panel.find(".checkout-heading").trigger("focus");
+    }
+
+    /**
+     * Render the confirmation screen for a placed order
+     * @param {Object} order - The saved order record
+     */
+    function renderConfirmation(order) {
+        const $panel = $("#cartDrawer .checkout-panel");
+
+        $panel.html(
+            '<div class="checkout-confirmation">' +
+            '<h3 class="checkout-heading" tabindex="-1">Order Confirmed!</h3>' +
+            '<p class="checkout-order-number">Order <strong>' + escapeHtml(order.orderNumber) + "</strong></p>" +
+            '<p class="checkout-pickup">Pick up today at <strong>' + escapeHtml(order.pickup.label) + "</strong>" +
+            " from our " + escapeHtml(order.pickup.location) + " shop.</p>" +
+            buildSummaryHtml(order.items, order) +
+            '<button type="button" class="btn btn-primary btn-full checkout-done">Done</button>' +
+            "</div>"
+        );
+
+        $panel.find(".checkout-heading").trigger("focus");
+    }
+
+    // ===================================
+    // Event Handlers
+    // ===================================
+
+    /**
+     * Handle Checkout button — only continue when the cart has items
+     */
+    function handleCheckoutClick() {
+        if (window.CodeAndBrew.cart.getItemCount() === 0) return;
+        renderCheckout();
+    }
+
+    /**
+     * Find the cart lines that can't be ordered right now: outside their
+     * availability window in catalog.js, or gone from the catalog
+     * @param {Array<Object>} lines - Cart lines
+     * @returns {Promise<Array<string>>} Names of the unavailable items, once each
+     */
+    async function findUnavailableItems(lines) {
+        const catalog = window.CodeAndBrew.catalog;
+        const products = (await catalog.loadCatalog()).products;
+        const now = window.CodeAndBrew.storeHours.getCurrentStoreTime();
+        const names = [];
+
+        lines.forEach(function(line) {
+            const product = products.find(function(candidate) {
+                return candidate.id === line.productId;
+            });
+            const orderable = product && catalog.getAvailability(product, now).orderable;
+            if (!orderable && names.indexOf(line.name) === -1) {
+                names.push(line.name);
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Explain which items are blocking the order
+     * @param {Array<string>} names - Unavailable item names
+     * @returns {string} e.g. "Pumpkin Latte and Scone aren't available right now. ..."
+     */
+    function describeUnavailable(names) {
+        const list = names.length === 1
+            ? names[0]
+            : names.slice(0, -1).join(", ") + " and " + names[names.length - 1];
+        return list + (names.length === 1 ? " isn't" : " aren't") + " available right now. " +
+            "Please remove " + (names.length === 1 ? "it" : "them") + " from your cart to place your order.";
+    }
+
+    /**
+     * Handle Place Order — re-check the slot and each item's availability,
+     * then save the order
+     * @param {Event} e - Submit event
+     */
+    async function handlePlaceOrder(e) {
+        e.preventDefault();
+
+        const cart = window.CodeAndBrew.cart;
+        const $panel = $("#cartDrawer .checkout-panel");
+        const $submit = $panel.find(".checkout-place");
+        const lines = cart.getLines();
+        const chosen = $panel.find("#pickupTime").val();
+        let slot = null;
+
+        // The clock may have moved on since the form rendered
+        const slots = getPickupSlots();
+        for (let i = 0; i < slots.length; i++) {
+            if (slots[i].value === chosen) slot = slots[i];
+        }
+
+        if (lines.length === 0) {
+            $panel.find(".checkout-error").text("Your cart is empty.");
+            return;
+        }
+        if (!slot) {
+            renderCheckout();
+            $panel.find(".checkout-error").text("That pickup time is no longer available. Please choose another.");
+            return;
+        }
+
+        // Items with a time window (e.g. breakfast) may have closed since they were added
+        let unavailable;
+        $submit.prop("disabled", true);
+        try {
+            unavailable = await findUnavailableItems(lines);
+        } catch (err) {
+            console.error("Could not check item availability:", err);
+            $panel.find(".checkout-error").text("We couldn't check the menu right now. Please try again.");
+            return;
+        } finally {
+            $submit.prop("disabled", false);
+        }
+        if (unavailable.length > 0) {
+            $panel.find(".checkout-error").text(describeUnavailable(unavailable));
+            return;
+        }
+
+        const order = createOrder(lines, slot);
+        if (!order) {
+            $panel.find(".checkout-error").text("We couldn't save your order. Please try again.");
+            return;
+        }
+
+        cart.clear();
+        renderConfirmation(order);
+    }
+
+    /**
+     * Return from the checkout panel to the cart view
+     */
+    function handleBackToCart() {
+        toggleCheckoutPanel(false);
+        $("#cartDrawer").trigger("focus");
+    }
+
+    /**
+     * Close the drawer after the confirmation screen
+     */
+    function handleDone() {
+        window.CodeAndBrew.cart.close();
+    }
+
+    // ===================================
+    // Initialisation
+    // ===================================
+
+    /**
+     * Add the Checkout button and panel to the cart drawer built by cart.js
+     */
+    function init() {
+        const $drawer = $("#cartDrawer");
+        if (!$drawer.length || !window.CodeAndBrew || !window.CodeAndBrew.cart) return;
+
+        $drawer.find(".cart-drawer-footer").append(
+            '<button type="button" class="btn btn-primary cart-checkout">Checkout</button>'
+        );
+        $drawer.append('<section class="checkout-panel" aria-label="Checkout" hidden></section>');
+
+        $drawer.on("click", ".cart-checkout", handleCheckoutClick);
+        $drawer.on("submit", ".checkout-form", handlePlaceOrder);
+        $drawer.on("click", ".checkout-back", handleBackToCart);
+        $drawer.on("click", ".checkout-done", handleDone);
+
+        // Disable Checkout while the cart is empty
+        $(document).on("cart:change", function(e, lines) {
+            $drawer.find(".cart-checkout").prop("disabled", lines.length === 0);
+        });
+        $drawer.find(".cart-checkout").prop("disabled", window.CodeAndBrew.cart.getItemCount() === 0);
+
+        // Always reopen the drawer on the cart view
+        $(document).on("cart:close", function() {
+            toggleCheckoutPanel(false);
+        });
+    }
+
+    // Wait for DOM ready (after cart.js has built the drawer)
+    $(document).ready(function() {
+        init();
+    });
+
+})(jQuery);
@@ -0,0 +1,753 @@
+/**
+ * Code & Brew - Events Calendar
+ * Loads meetups, hack nights and classes from events.json and shows them
+ * in list and month views. Signed-in visitors can RSVP (capped by each
+ * event's capacity, stored in localStorage) and any event can be saved
+ * as an .ics calendar file.
+ *
+ * @format
+ */
+
+(function ($) {
+	"use strict";
+
+	// events.json sits next to this file, like catalogProducts.json
+	const EVENTS_URL =
+		document.currentScript && document.currentScript.src
+			? new URL("events.json", document.currentScript.src).href
+			: "../js/events.json";
+
+	const RSVP_KEY = "eventRsvps";
+
+	/** Labels and icons for each event type */
+	const EVENT_TYPES = {
+		meetup: { label: "Meetup", icon: "👥" },
+		"hack-night": { label: "Hack Night", icon: "💻" },
+		class: { label: "Class", icon: "☕" },
+	};
+
+	// Fields every event must have, and the formats for its date and times
+	const REQUIRED_TEXT_FIELDS = ["id", "title", "type", "description", "locationId"];
+	const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+	const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+	const MINUTES_PER_DAY = 24 * 60;
+	const WEEKDAY_SHORT_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+	let events = [];
+	let currentView = "list";
+	let monthCursor = null; // { year, month } shown in the month view (month is 1-12)
+
+	// ===================================
+	// Helpers
+	// ===================================
+
+	// HTML escaping shared from script.js
+	const escapeHtml = window.CodeAndBrew.utils.escapeHtml;
+
+	/**
+	 * Convert a 24-hour "HH:MM" time to minutes after midnight
+	 * @param {string} time - e.g. "17:30"
+	 * @returns {number} Minutes after midnight
+	 */
+	function toMinutes(time) {
+		const parts = time.split(":");
+		return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
+	}
+
+	/**
+	 * Get an event's start and end in minutes after its date's midnight.
+	 * An end time at or before the start runs past midnight.
+	 * @param {Object} event - Event from events.json
+	 * @returns {{start: number, end: number}}
+	 */
+	function getEventMinutes(event) {
+		const start = toMinutes(event.startTime);
+		let end = toMinutes(event.endTime);
+		if (end <= start) {
+			end += MINUTES_PER_DAY;
+		}
+		return { start: start, end: end };
+	}
+
+	/**
+	 * Format minutes after midnight as a 12-hour clock time
+	 * @param {number} minutes - Minutes after midnight
+	 * @returns {string} e.g. "5:30 PM"
+	 */
+	function formatTime(minutes) {
+		return window.CodeAndBrew.storeHours.formatTime(minutes);
+	}
+
+	/**
+	 * Format a "YYYY-MM-DD" date for display
+	 * @param {string} date - Calendar date
+	 * @returns {string} e.g. "Thursday, October 22, 2026"
+	 */
+	function formatEventDate(date) {
+		const parts = date.split("-").map(Number);
+		return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2])).toLocaleDateString("en-US", {
+			weekday: "long",
+			month: "long",
+			day: "numeric",
+			year: "numeric",
+			timeZone: "UTC",
+		});
+	}
+
+	/**
+	 * Get the moment an event starts or ends, using its shop's time zone
+	 * @param {Object} event - Event from events.json
+	 * @param {number} minutes - Minutes after the event date's midnight
+	 * @returns {number} Milliseconds since the epoch
+	 */
+	function getEventTimestamp(event, minutes) {
+		return window.CodeAndBrew.storeHours.getTimestamp(event.date, minutes, event.locationId);
+	}
+
+	/**
+	 * Check whether an event has already ended
+	 * @param {Object} event - Event from events.json
+	 * @returns {boolean} True once its end time has passed
+	 */
+	function isPastEvent(event) {
+		return getEventTimestamp(event, getEventMinutes(event).end) <= Date.now();
+	}
+
+	// ===================================
+	// RSVP Storage
+	// ===================================
+
+	/**
+	 * Load all RSVPs from localStorage
+	 * @returns {Object} Map of event id to an array of usernames
+	 */
+	function loadRsvps() {
+		try {
+			const raw = localStorage.getItem(RSVP_KEY);
+			const rsvps = raw ? JSON.parse(raw) : {};
+			return rsvps && typeof rsvps === "object" && !Array.isArray(rsvps) ? rsvps : {};
+		} catch (err) {
+			console.error("Could not read RSVPs:", err);
+			return {};
+		}
+	}
+
+	/**
+	 * Persist RSVPs to localStorage
+	 * @param {Object} rsvps - Map of event id to an array of usernames
+	 * @returns {boolean} True if saved
+	 */
+	function saveRsvps(rsvps) {
+		try {
+			localStorage.setItem(RSVP_KEY, JSON.stringify(rsvps));
+			return true;
+		} catch (err) {
+			console.error("Could not save RSVPs:", err);
+			return false;
+		}
+	}
+
+	/**
+	 * Get the usernames attending an event
+	 * @param {string} eventId - Event id
+	 * @returns {Array<string>} Attendee usernames
+	 */
+	function getAttendees(eventId) {
+		const attendees = loadRsvps()[eventId];
+		return Array.isArray(attendees) ? attendees : [];
+	}
+
+	/**
+	 * RSVP a user to an event if it still has room
+	 * @param {Object} event - Event from events.json
+	 * @param {Object} user - Signed-in user { username }
+	 * @returns {{ok: boolean, message: string}} Result to announce
+	 */
+	function addRsvp(event, user) {
+		// Re-read storage so another tab's RSVPs count toward the limit
+		const rsvps = loadRsvps();
+		const attendees = Array.isArray(rsvps[event.id]) ? rsvps[event.id] : [];
+
+		if (attendees.indexOf(user.username) !== -1) {
+			return { ok: true, message: "You're already going to " + event.title + "." };
+		}
+		if (attendees.length >= event.capacity) {
+			return { ok: false, message: "Sorry, " + event.title + " is full." };
+		}
+
+		rsvps[event.id] = attendees.concat(user.username);
+		if (!saveRsvps(rsvps)) {
+			return { ok: false, message: "Your RSVP couldn't be saved. Please try again." };
+		}
+		return { ok: true, message: "You're going to " + event.title + "!" };
+	}
+
+	/**
+	 * Remove a user's RSVP from an event
+	 * @param {Object} event - Event from events.json
+	 * @param {Object} user - Signed-in user { username }
+	 * @returns {{ok: boolean, message: string}} Result to announce
+	 */
+	function cancelRsvp(event, user) {
+		const rsvps = loadRsvps();
+		const attendees = Array.isArray(rsvps[event.id]) ? rsvps[event.id] : [];
+
+		rsvps[event.id] = attendees.filter(function (username) {
+			return username !== user.username;
+		});
+		if (!saveRsvps(rsvps)) {
+			return { ok: false, message: "Your RSVP couldn't be cancelled. Please try again." };
+		}
+		return { ok: true, message: "Your RSVP for " + event.title + " was cancelled." };
+	}
+
+	// ===================================
+	// Validation
+	// ===================================
+
+	/**
+	 * List everything wrong with one event entry
+	 * @param {Object} event - Raw entry from events.json
+	 * @param {Set<string>} seenIds - Ids of the valid events checked so far
+	 * @returns {Array<string>} Problems found; empty when the event is valid
+	 */
+	function validateEvent(event, seenIds) {
+		if (!event || typeof event !== "object" || Array.isArray(event)) {
+			return ["entry is not an object"];
+		}
+
+		const problems = [];
+
+		REQUIRED_TEXT_FIELDS.forEach(function (field) {
+			if (typeof event[field] !== "string" || event[field].trim() === "") {
+				problems.push('"' + field + '" is missing or empty');
+			}
+		});
+		if (typeof event.type === "string" && !EVENT_TYPES[event.type]) {
+			problems.push('unknown type "' + event.type + '"');
+		}
+		if (typeof event.locationId === "string" && !window.CodeAndBrew.storeHours.findLocation(event.locationId)) {
+			problems.push('unknown location "' + event.locationId + '"');
+		}
+		if (typeof event.id === "string" && seenIds.has(event.id)) {
+			problems.push('duplicate id "' + event.id + '"');
+		}
+		if (!DATE_PATTERN.test(event.date)) {
+			problems.push('"date" must be a date like "2026-12-24"');
+		}
+		["startTime", "endTime"].forEach(function (field) {
+			if (!CLOCK_TIME_PATTERN.test(event[field])) {
+				problems.push('"' + field + '" must be a 24-hour time like "18:30"');
+			}
+		});
+		if (typeof event.capacity !== "number" || !Number.isInteger(event.capacity) || event.capacity < 1) {
+			problems.push('"capacity" must be a whole number of 1 or more');
+		}
+		if (event.afterHours !== undefined && typeof event.afterHours !== "boolean") {
+			problems.push('"afterHours" must be true or false');
+		}
+
+		return problems;
+	}
+
+	/**
+	 * Check an event against its shop's schedule in script.js, including
+	 * holiday closures. Events marked afterHours may run outside opening
+	 * hours, but not on a day the shop is closed.
+	 * @param {Object} event - Valid event
+	 * @returns {string} Why the time doesn't work, or "" if it fits
+	 */
+	function checkAgainstSchedule(event) {
+		const storeHours = window.CodeAndBrew.storeHours;
+		const schedule = storeHours.getScheduleForDate(event.date, event.locationId);
+
+		if (schedule.closed) {
+			return schedule.reason
+				? "The shop is closed for " + schedule.reason + " that day."
+				: "The shop is closed that day.";
+		}
+		if (event.afterHours) {
+			return "";
+		}
+
+		const times = getEventMinutes(event);
+		const fits = storeHours.getOpenIntervals(event.date, 1, event.locationId).some(function (interval) {
+			return interval.open <= times.start && times.end <= interval.close;
+		});
+		return fits ? "" : "This time is outside the shop's opening hours.";
+	}
+
+	/**
+	 * Keep valid events, sorted by start time, and flag schedule conflicts.
+	 * Skipped entries and conflicts are logged with console.warn.
+	 * @param {Object} data - Parsed events.json
+	 * @returns {Array<Object>} Valid events, each with a scheduleProblem string
+	 */
+	function prepareEvents(data) {
+		const rawEvents = data && Array.isArray(data.events) ? data.events : [];
+		const seenIds = new Set();
+		const valid = [];
+		const warnings = [];
+
+		rawEvents.forEach(function (event, index) {
+			const problems = validateEvent(event, seenIds);
+			if (problems.length > 0) {
+				warnings.push("Event #" + (index + 1) + ": " + problems.join("; "));
+				return;
+			}
+			seenIds.add(event.id);
+
+			const scheduleProblem = checkAgainstSchedule(event);
+			if (scheduleProblem) {
+				warnings.push('Event "' + event.id + '": ' + scheduleProblem);
+			}
+			valid.push($.extend({}, event, { scheduleProblem: scheduleProblem }));
+		});
+
+		if (warnings.length > 0) {
+			console.warn("Events need attention:\n" + warnings.join("\n"));
+		}
+
+		return valid.sort(function (a, b) {
+			return getEventTimestamp(a, getEventMinutes(a).start) - getEventTimestamp(b, getEventMinutes(b).start);
+		});
+	}
+
+	// ===================================
+	// Calendar File Export
+	// ===================================
+
+	/**
+	 * Escape text for an iCalendar property value
+	 * @param {string} text - Raw text
+	 * @returns {string} Escaped text
+	 */
+	function escapeIcsText(text) {
+		return String(text)
+			.replace(/\\/g, "\\\\")
+			.replace(/;/g, "\\;")
+			.replace(/,/g, "\\,")
+			.replace(/\r?\n/g, "\\n");
+	}
+
+	/**
+	 * Fold an iCalendar line to 75 bytes per line, as the format requires
+	 * @param {string} line - Unfolded content line
+	 * @returns {string} Folded line joined with CRLF + space
+	 */
+	function foldIcsLine(line) {
+		const encoder = new TextEncoder();
+		const pieces = [];
+		let current = "";
+		let currentBytes = 0;
+
+		for (const char of line) {
+			const charBytes = encoder.encode(char).length;
+			// Continuation lines start with a space, which counts toward the limit
+			const limit = pieces.length === 0 ? 75 : 74;
+			if (currentBytes + charBytes > limit) {
+				pieces.push(current);
+				current = "";
+				currentBytes = 0;
+			}
+			current += char;
+			currentBytes += charBytes;
+		}
+		pieces.push(current);
+		return pieces.join("\r\n ");
+	}
+
+	/**
+	 * Format a moment as an iCalendar UTC date-time
+	 * @param {number} timestamp - Milliseconds since the epoch
+	 * @returns {string} e.g. "20261022T223000Z"
+	 */
+	function formatIcsDate(timestamp) {
+		return new Date(timestamp).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+	}
+
+	/**
+	 * Build an .ics calendar file for one event
+	 * @param {Object} event - Valid event
+	 * @returns {string} iCalendar text
+	 */
+	function buildIcs(event) {
+		const location = window.CodeAndBrew.storeHours.findLocation(event.locationId);
+		const times = getEventMinutes(event);
+		const lines = [
+			"BEGIN:VCALENDAR",
+			"VERSION:2.0",
+			"PRODID:-//Code & Brew//Events//EN",
+			"CALSCALE:GREGORIAN",
+			"METHOD:PUBLISH",
+			"BEGIN:VEVENT",
+			"UID:" + event.id + "@codeandbrew.com",
+			"DTSTAMP:" + formatIcsDate(Date.now()),
+			"DTSTART:" + formatIcsDate(getEventTimestamp(event, times.start)),
+			"DTEND:" + formatIcsDate(getEventTimestamp(event, times.end)),
+			"SUMMARY:" + escapeIcsText(event.title),
+			"DESCRIPTION:" + escapeIcsText(event.description),
+			"LOCATION:" + escapeIcsText(["Code & Brew " + location.name].concat(location.address).join(", ")),
+			"END:VEVENT",
+			"END:VCALENDAR",
+		];
+		return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+	}
+
+	/**
+	 * Download an event as an .ics file
+	 * @param {Object} event - Valid event
+	 */
+	function downloadIcs(event) {
+		const blob = new Blob([buildIcs(event)], { type: "text/calendar;charset=utf-8" });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement("a");
+
+		link.href = url;
+		link.download = event.id + ".ics";
+		document.body.appendChild(link);
+		link.click();
+
+		// Some browsers start the download after click() returns, so clean up
+		// on the next tick rather than revoking the URL out from under it
+		setTimeout(function () {
+			document.body.removeChild(link);
+			URL.revokeObjectURL(url);
+		}, 0);
+	}
+
+	// ===================================
+	// Rendering
+	// ===================================
+
+	/**
+	 * Find a loaded event by id
+	 * @param {string} id - Event id
+	 * @returns {Object|undefined} The event
+	 */
+	function findEvent(id) {
+		return events.find(function (event) {
+			return event.id === id;
+		});
+	}
+
+	/**
+	 * Build the RSVP area of an event card
+	 * @param {Object} event - Valid event
+	 * @param {Object|null} user - Signed-in user
+	 * @returns {string} HTML
+	 */
+	function buildRsvpHtml(event, user) {
+		const attendees = getAttendees(event.id);
+		const spotsLeft = Math.max(0, event.capacity - attendees.length);
+		const isGoing = Boolean(user) && attendees.indexOf(user.username) !== -1;
+		const spotsText = spotsLeft === 0 ? "Full" : spotsLeft + " of " + event.capacity + " spots left";
+		let actionHtml = "";
+
+		if (event.scheduleProblem) {
+			actionHtml = '<button type="button" class="btn btn-primary" disabled>RSVP unavailable</button>';
+		} else if (!user) {
+			actionHtml = '<a class="btn btn-outline" href="' + escapeHtml(window.CodeAndBrew.auth.getSignInUrl()) + '">Sign in to RSVP</a>';
+		} else if (isGoing) {
+			actionHtml =
+				'<span class="event-going">✓ You\'re going</span>' +
+				'<button type="button" class="btn btn-outline event-cancel" data-event-id="' + escapeHtml(event.id) + '">' +
+				"Cancel RSVP</button>";
+		} else if (spotsLeft === 0) {
+			actionHtml = '<button type="button" class="btn btn-primary" disabled>Event full</button>';
+		} else {
+			actionHtml =
+				'<button type="button" class="btn btn-primary event-rsvp" data-event-id="' + escapeHtml(event.id) + '">' +
+				"RSVP</button>";
+		}
+
+		return (
+			'<p class="event-spots' + (spotsLeft === 0 ? " is-full" : "") + '">' + spotsText + "</p>" +
+			'<div class="event-actions">' +
+			actionHtml +
+			'<button type="button" class="btn btn-outline event-ics" data-event-id="' + escapeHtml(event.id) + '">' +
+			"Add to calendar (.ics)</button>" +
+			"</div>"
+		);
+	}
+
+	/**
+	 * Build one event card for the list view
+	 * @param {Object} event - Valid event
+	 * @param {Object|null} user - Signed-in user
+	 * @returns {string} HTML
+	 */
+	function buildEventCardHtml(event, user) {
+		const type = EVENT_TYPES[event.type];
+		const location = window.CodeAndBrew.storeHours.findLocation(event.locationId);
+		const times = getEventMinutes(event);
+
+		return (
+			'<article class="event-card ' + escapeHtml(event.type) + '" id="event-' + escapeHtml(event.id) + '" tabindex="-1"' +
+			' aria-labelledby="event-title-' + escapeHtml(event.id) + '">' +
+			'<div class="event-card-date" aria-hidden="true">' +
+			'<span class="event-card-icon">' + type.icon + "</span>" +
+			"</div>" +
+			'<div class="event-card-body">' +
+			'<span class="event-card-type">' + escapeHtml(type.label) + "</span>" +
+			'<h3 class="event-card-title" id="event-title-' + escapeHtml(event.id) + '">' + escapeHtml(event.title) + "</h3>" +
+			'<p class="event-card-when">' +
+			'<time datetime="' + escapeHtml(event.date + "T" + event.startTime) + '">' + escapeHtml(formatEventDate(event.date)) + "</time>" +
+			" · " + escapeHtml(formatTime(times.start) + " – " + formatTime(times.end)) +
+			"</p>" +
+			'<p class="event-card-where">Code &amp; Brew ' + escapeHtml(location.name) +
+			(event.host ? " · Hosted by " + escapeHtml(event.host) : "") +
+			"</p>" +
+			'<p class="event-card-description">' + escapeHtml(event.description) + "</p>" +
+			(event.afterHours && !event.scheduleProblem
+				? '<p class="event-card-note">After hours: the shop is closed to other customers.</p>'
+				: "") +
+			(event.scheduleProblem
+				? '<p class="event-card-warning" role="note">⚠ ' + escapeHtml(event.scheduleProblem) + "</p>"
+				: "") +
+			buildRsvpHtml(event, user) +
+			"</div>" +
+			"</article>"
+		);
+	}
+
+	/**
+	 * Render upcoming events as a list of cards
+	 */
+	function renderList() {
+		const user = window.CodeAndBrew.auth.getCurrentUser();
+		const upcoming = events.filter(function (event) {
+			return !isPastEvent(event);
+		});
+
+		$("#eventsList").html(
+			upcoming
+				.map(function (event) {
+					return buildEventCardHtml(event, user);
+				})
+				.join("")
+		);
+		$("#eventsEmpty").prop("hidden", upcoming.length > 0);
+	}
+
+	/**
+	 * Render the month grid for monthCursor, with each day's events
+	 */
+	function renderMonth() {
+		const year = monthCursor.year;
+		const month = monthCursor.month;
+		const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+		const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+		const monthLabel = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString("en-US", {
+			month: "long",
+			year: "numeric",
+			timeZone: "UTC",
+		});
+		const prefix = year + "-" + String(month).padStart(2, "0") + "-";
+
+		let html =
+			'<div class="events-month-nav">' +
+			'<button type="button" class="btn btn-outline events-month-prev" aria-label="Previous month">‹</button>' +
+			'<h3 class="events-month-title" id="eventsMonthTitle">' + escapeHtml(monthLabel) + "</h3>" +
+			'<button type="button" class="btn btn-outline events-month-next" aria-label="Next month">›</button>' +
+			"</div>" +
+			'<table class="events-month-grid" aria-labelledby="eventsMonthTitle"><thead><tr>';
+
+		WEEKDAY_SHORT_LABELS.forEach(function (label) {
+			html += '<th scope="col">' + label + "</th>";
+		});
+		html += "</tr></thead><tbody><tr>";
+
+		for (let blank = 0; blank < firstWeekday; blank++) {
+			html += '<td class="is-empty"></td>';
+		}
+
+		for (let day = 1; day <= daysInMonth; day++) {
+			const date = prefix + String(day).padStart(2, "0");
+			const dayEvents = events.filter(function (event) {
+				return event.date === date;
+			});
+
+			html += '<td class="' + (dayEvents.length > 0 ? "has-events" : "") + '">' +
+				'<span class="events-month-day">' + day + "</span>";
+
+			dayEvents.forEach(function (event) {
+				const label = escapeHtml(formatTime(getEventMinutes(event).start) + " " + event.title);
+				html += isPastEvent(event)
+					? '<span class="events-chip is-past ' + escapeHtml(event.type) + '">' + label + "</span>"
+					: '<button type="button" class="events-chip ' + escapeHtml(event.type) + '" data-event-id="' +
+						escapeHtml(event.id) + '">' + label + "</button>";
+			});
+			html += "</td>";
+
+			if ((firstWeekday + day) % 7 === 0 && day < daysInMonth) {
+				html += "</tr><tr>";
+			}
+		}
+
+		const trailing = (7 - ((firstWeekday + daysInMonth) % 7)) % 7;
+		for (let blank = 0; blank < trailing; blank++) {
+			html += '<td class="is-empty"></td>';
+		}
+		html += "</tr></tbody></table>";
+
+		$("#eventsMonth").html(html);
+	}
+
+	/**
+	 * Show the current view and hide the other
+	 */
+	function render() {
+		const isList = currentView === "list";
+
+		$(".events-view-btn").each(function () {
+			const active = $(this).data("view") === currentView;
+			$(this).toggleClass("active", active).attr("aria-pressed", String(active));
+		});
+		$("#eventsList").prop("hidden", !isList);
+		$("#eventsMonth").prop("hidden", isList);
+
+		if (isList) {
+			renderList();
+		} else {
+			$("#eventsEmpty").prop("hidden", true);
+			renderMonth();
+		}
+	}
+
+	/**
+	 * Announce a message to screen readers
+	 * @param {string} message - Text to announce
+	 */
+	function announce(message) {
+		$("#eventsStatus").text(message);
+	}
+
+	// ===================================
+	// Event Handlers
+	// ===================================
+
+	/**
+	 * Switch between list and month views
+	 */
+	function handleViewChange() {
+		currentView = $(this).data("view");
+		render();
+		announce(currentView === "list" ? "Showing upcoming events as a list." : "Showing events by month.");
+	}
+
+	/**
+	 * Move the month view back or forward one month
+	 * @param {number} step - -1 for previous, 1 for next
+	 */
+	function changeMonth(step) {
+		const next = new Date(Date.UTC(monthCursor.year, monthCursor.month - 1 + step, 1));
+		monthCursor = { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1 };
+		renderMonth();
+		announce($("#eventsMonthTitle").text());
+		$(step < 0 ? ".events-month-prev" : ".events-month-next").trigger("focus");
+	}
+
+	/**
+	 * Open an event from the month view in the list view
+	 */
+	function handleChipClick() {
+		const id = $(this).attr("data-event-id"); // Not .data(), which turns "2026" into a number
+		currentView = "list";
+		render();
+		$(document.getElementById("event-" + id)).trigger("focus");
+	}
+
+	/**
+	 * RSVP or cancel, then re-render and keep focus on the card
+	 * @param {Function} action - addRsvp or cancelRsvp
+	 * @returns {Function} Click handler
+	 */
+	function handleRsvpAction(action) {
+		return function () {
+			const event = findEvent($(this).attr("data-event-id"));
+			const user = window.CodeAndBrew.auth.getCurrentUser();
+			if (!event || !user) {
+				return;
+			}
+
+			const result = action(event, user);
+			renderList();
+			$(document.getElementById("event-" + event.id)).trigger("focus");
+			announce(result.message);
+		};
+	}
+
+	/**
+	 * Download the clicked event's .ics file
+	 */
+	function handleIcsClick() {
+		const event = findEvent($(this).attr("data-event-id"));
+		if (event) {
+			downloadIcs(event);
+		}
+	}
+
+	// ===================================
+	// Initialisation
+	// ===================================
+
+	/**
+	 * Fetch and prepare the events list
+	 * @returns {Promise<Array<Object>>} Valid events; rejects if the file can't be loaded
+	 */
+	async function loadEvents() {
+		const response = await fetch(EVENTS_URL);
+		if (!response.ok) {
+			throw new Error("Failed to load events (" + response.status + ")");
+		}
+		return prepareEvents(await response.json());
+	}
+
+	/**
+	 * Bind listeners and render the events once they load
+	 */
+	function init() {
+		if (!$("#eventsList").length) {
+			return;
+		}
+
+		const today = window.CodeAndBrew.storeHours.getCurrentStoreTime().date.split("-").map(Number);
+		monthCursor = { year: today[0], month: today[1] };
+
+		$(".events-view-btn").on("click", handleViewChange);
+		$("#eventsMonth")
+			.on("click", ".events-month-prev", function () {
+				changeMonth(-1);
+			})
+			.on("click", ".events-month-next", function () {
+				changeMonth(1);
+			})
+			.on("click", ".events-chip[data-event-id]", handleChipClick);
+		$("#eventsList")
+			.on("click", ".event-rsvp", handleRsvpAction(addRsvp))
+			.on("click", ".event-cancel", handleRsvpAction(cancelRsvp))
+			.on("click", ".event-ics", handleIcsClick);
+
+		// Keep spot counts current when another tab RSVPs
+		$(window).on("storage", function (e) {
+			if (e.originalEvent.key === RSVP_KEY && currentView === "list") {
+				renderList();
+			}
+		});
+
+		loadEvents()
+			.then(function (loaded) {
+				events = loaded;
+				render();
+			})
+			.catch(function (err) {
+				console.error("Could not load events:", err);
+				$("#eventsError").text("Sorry, we couldn't load events right now. Please try again later.").prop("hidden", false);
+			});
+	}
+
+	// Wait for DOM ready
+	$(document).ready(init);
+})(jQuery);
@@ -1,113 +1,342 @@
 // Menu data and Logic
 let flatMenu = [];
+let modifierGroups = {};
+let customizingItem = null;
+let menuCarousel = null;
+
+// Dietary tags a product can list in its "dietary" array
+const DIETARY_TAGS = [
+    { id: 'vegan', label: 'Vegan' },
+    { id: 'dairy-free', label: 'Dairy-Free' },
+    { id: 'gluten-free', label: 'Gluten-Free' },
+    { id: 'caffeine-free', label: 'Caffeine-Free' }
+];
+
+// Allergens a product can list in its "allergens" array
+const ALLERGENS = [
+    { id: 'milk', label: 'Milk' },
+    { id: 'eggs', label: 'Eggs' },
+    { id: 'wheat', label: 'Wheat' },
+    { id: 'soy', label: 'Soy' },
+    { id: 'tree-nuts', label: 'Tree Nuts' },
+    { id: 'peanuts', label: 'Peanuts' }
+];
+
+// Price buckets: min is inclusive, max is exclusive
+const PRICE_RANGES = [
+    { id: 'under-4', label: 'Under $4', min: 0, max: 4 },
+    { id: '4-to-5', label: '$4 – $4.99', min: 4, max: 5 },
+    { id: '5-plus', label: '$5 & up', min: 5, max: Infinity }
+];
+
+// Search synonyms: each query word also matches these terms. Synonyms that point
+// at a dietary tag (e.g. "decaf") match the product's "dietary" list.
+const SEARCH_SYNONYMS = {
+    decaf: ['caffeine-free'],
+    iced: ['cold'],
+    cold: ['iced'],
+    tea: ['matcha', 'chai'],
+    chocolate: ['cocoa', 'choc'],
+    choc: ['chocolate', 'cocoa'],
+    pastry: ['pastries'],
+    bakery: ['pastries'],
+    vegan: ['vegan'],
+    'dairy-free': ['dairy-free'],
+    'gluten-free': ['gluten-free']
+};
+
+// Shortest query word matched inside another word; shorter ones give false hits like "iced" in "Spiced"
+const MIN_INWORD_TERM_LENGTH = 5;
+
+// Field weights for ranking: a name match outranks a category match, which outranks the description
+const SEARCH_FIELDS = [
+    { key: 'name', weight: 3 },
+    { key: 'category', weight: 2 },
+    { key: 'description', weight: 1 }
+];
+
+// Query string keys mirrored from the search box, sort select and facets
+const URL_PARAMS = {
+    search: 'q',
+    sort: 'sort',
+    categories: 'category',
+    priceRange: 'price',
+    dietary: 'diet',
+    allergens: 'without'
+};
+
+// Most related items listed in the product detail view
+const MAX_RELATED_ITEMS = 3;
+
+// How often to re-check time-of-day availability windows
+const AVAILABILITY_REFRESH_MS = 60000;
+let availabilityKey = '';
+
+// Wait this long after the last keystroke before adding a search to browser history
+const SEARCH_HISTORY_DELAY = 600;
+let searchHistoryTimer = null;
+
+// History entries the product links have added on top of the plain menu, so
+// closing the detail view can go back to it instead of adding a duplicate
+let itemHistoryDepth = 0;
+let isLeavingDetail = false;
+
+// Active facets: categories and dietary tags allow several choices, price allows one
+const activeFilters = {
+    categories: [],
+    priceRange: '',
+    dietary: [],
+    allergens: []
+};
 
 const menuContainer = document.getElementById('menu-container');
-const carouselIndicators = document.querySelector('.carousel-indicators');
-const carouselInner = document.querySelector('.carousel-inner');
+const carouselContainer = document.getElementById('menuCarousel');
 const searchInput = document.getElementById('search-input');
 const sortSelect = document.getElementById('sort-select');
+const categoryFilters = document.getElementById('category-filters');
+const priceFilters = document.getElementById('price-filters');
+const dietaryFilters = document.getElementById('dietary-filters');
+const allergenFilters = document.getElementById('allergen-filters');
+const clearFiltersButton = document.getElementById('clear-filters');
+const resultsStatus = document.getElementById('menu-results-status');
+const catalogReport = document.getElementById('catalog-report');
+const productModalEl = document.getElementById('productModal');
+const productDetail = document.getElementById('productDetail');
+const customizeModalEl = document.getElementById('customizeModal');
+const customizeForm = document.getElementById('customizeForm');
 
-// Fetch data from JSON
+// Fetch data from JSON; resolves to { products, modifierGroups } with invalid products removed
 async function fetchMenuData() {
     try {
-        const response = await fetch('js/catalogProducts.json');
-        if (!response.ok) {
-            throw new Error('Failed to load menu data');
-        }
-        const data = await response.json();
-        return data.products;
+        const catalog = await window.CodeAndBrew.catalog.loadCatalog();
+        reportCatalogErrors(catalog.errors);
+        return {
+            products: catalog.products,
+            modifierGroups: catalog.modifierGroups
+        };
     } catch (error) {
         console.error('Error fetching menu data:', error);
         if (menuContainer) {
             menuContainer.innerHTML = '<div class="col-12 text-center text-danger"><p>Failed to load menu. Please try again later.</p></div>';
         }
-        return [];
+        return { products: [], modifierGroups: {} };
     }
 }
 
+// List skipped catalog entries above the menu (loadCatalog() already logs them)
+function reportCatalogErrors(errors) {
+    if (!catalogReport) return;
+    if (errors.length === 0) {
+        catalogReport.hidden = true;
+        return;
+    }
+
+    const { describeError } = window.CodeAndBrew.catalog;
+    const listItems = errors.map(error => `<li>${escapeHtml(describeError(error))}</li>`).join('');
+    catalogReport.innerHTML = `
+        <p class="fw-bold mb-1">Some menu items couldn't be shown because their catalog entries are invalid:</p>
+        <ul class="mb-0 small">${listItems}</ul>
+    `;
+    catalogReport.hidden = false;
+}
+
+// Use placeholder image if no image provided or fallback
+function getProductImage(item) {
+    return item.image ? item.image : 'https://placehold.co/800x400/3e2723/ffffff?text=' + encodeURIComponent(item.name);
+}
+
+// Deep link to a product's detail view, e.g. "#item=latte"
+function getItemLink(id) {
+    return `#item=${encodeURIComponent(id)}`;
+}
+
+// Slide contents for the menu carousel: product photo plus Order Now and Details
+function buildCarouselSlideHtml(item) {
+    return `
+        <img src="${escapeHtml(getProductImage(item))}" class="carousel-slide-image" alt="${escapeHtml(item.name)}">
+        <div class="carousel-slide-content">
+            <span class="carousel-slide-category">${escapeHtml(item.category)}</span>
+            <h3 class="carousel-slide-name">${escapeHtml(item.name)}</h3>
+            <p class="carousel-slide-description">${escapeHtml(item.description)}</p>
+            <p class="carousel-slide-price">$${item.price.toFixed(2)}</p>
+            <div class="carousel-slide-actions">
+                <button type="button" class="carousel-slide-link btn-add-to-order" data-product-id="${escapeHtml(item.id)}">Order Now</button>
+                <a href="${getItemLink(item.id)}" class="carousel-slide-link carousel-slide-link--secondary">Details</a>
+            </div>
+        </div>
+    `;
+}
+
+// Rebuild the featured carousel with the shared carousel component from carousel.js
 function renderCarousel(items) {
-    if (!carouselIndicators || !carouselInner) return;
+    if (!carouselContainer || !window.CodeAndBrew.carousel) return;
 
     const featuredItems = items.filter(item => item.featured);
-    
-    carouselIndicators.innerHTML = '';
-    carouselInner.innerHTML = '';
 
-    const carouselWrapper = document.getElementById('featuredCarousel');
-    if (featuredItems.length === 0) {
-        if (carouselWrapper) carouselWrapper.style.display = 'none';
-        return;
-    } else {
-        if (carouselWrapper) carouselWrapper.style.display = 'block';
-    }
-
-    featuredItems.forEach((item, index) => {
-        // Create indicator
-        const indicator = document.createElement('button');
-        indicator.type = 'button';
-        indicator.dataset.bsTarget = '#featuredCarousel';
-        indicator.dataset.bsSlideTo = index;
-        indicator.ariaLabel = `Slide ${index + 1}`;
-        if (index === 0) {
-            indicator.className = 'active';
-            indicator.ariaCurrent = 'true';
+    if (menuCarousel) {
+        menuCarousel.destroy();
+        menuCarousel = null;
+    }
+
+    carouselContainer.hidden = featuredItems.length === 0;
+    if (featuredItems.length === 0) return;
+
+    menuCarousel = window.CodeAndBrew.carousel.create(carouselContainer, {
+        items: featuredItems,
+        renderSlide: buildCarouselSlideHtml,
+        delay: 5000,
+        label: 'Featured menu items'
+    });
+}
+
+// HTML escaping shared from script.js
+const escapeHtml = window.CodeAndBrew.utils.escapeHtml;
+
+// Escape text and wrap the matched [start, end) ranges in <mark>
+function highlightText(text, ranges) {
+    text = String(text == null ? '' : text);
+    if (!ranges || ranges.length === 0) return escapeHtml(text);
+
+    // Merge overlapping ranges so marks never nest
+    const merged = [];
+    [...ranges].sort((a, b) => a[0] - b[0]).forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
         }
-        carouselIndicators.appendChild(indicator);
+    });
 
-        // Create carousel item
-        const carouselItem = document.createElement('div');
-        carouselItem.className = `carousel-item ${index === 0 ? 'active' : ''}`;
-        
-        // Use placeholder image if no image provided or fallback
-        const bgImage = item.image ? item.image : 'https://placehold.co/800x400/3e2723/ffffff?text=' + encodeURIComponent(item.name);
-        
-        carouselItem.innerHTML = `
-            <img src="${bgImage}" class="d-block w-100" alt="${item.name}" style="height: 400px; object-fit: cover; opacity: 0.9;">
-            <div class="carousel-caption d-none d-md-block bg-dark bg-opacity-75 rounded p-4">
-                <h3 class="display-5 fw-bold text-light">${item.name}</h3>
-                <p class="lead text-light">${item.description}</p>
-                <div class="mt-3">
-                    <span class="badge bg-warning text-dark fs-5 me-2">$${item.price.toFixed(2)}</span>
-                    <button class="btn btn-primary btn-sm">Order Now</button>
-                </div>
-            </div>
-        `;
-        carouselInner.appendChild(carouselItem);
+    let html = '';
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(cursor, start));
+        html += `<mark class="search-highlight">${escapeHtml(text.slice(start, end))}</mark>`;
+        cursor = end;
     });
+    return html + escapeHtml(text.slice(cursor));
+}
+
+// Current store date and time from script.js (America/Chicago)
+function getStoreNow() {
+    const storeHours = window.CodeAndBrew && window.CodeAndBrew.storeHours;
+    if (storeHours) {
+        return storeHours.getCurrentStoreTime();
+    }
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        day: now.getDay(),
+        hour: now.getHours(),
+        minute: now.getMinutes(),
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+    };
+}
+
+// Whether a product can be ordered right now ({ visible, orderable, label });
+// the rules live in catalog.js so checkout applies the same ones
+const getAvailability = window.CodeAndBrew.catalog.getAvailability;
+
+// Products that should appear on the menu at the current store time
+function getVisibleMenu(now = getStoreNow()) {
+    return flatMenu.filter(item => getAvailability(item, now).visible);
+}
+
+// Re-render only when an item has moved into or out of its availability window
+function refreshAvailability() {
+    const now = getStoreNow();
+    const key = flatMenu.map(item => {
+        const { visible, orderable } = getAvailability(item, now);
+        return `${visible ? 1 : 0}${orderable ? 1 : 0}`;
+    }).join('');
+
+    if (key === availabilityKey) return;
+    availabilityKey = key;
+    renderCarousel(flatMenu.filter(item => getAvailability(item, now).orderable));
+    filterAndSortMenu();
+}
+
+// Expandable "Nutrition & allergens" panel; empty when the product lists none of the fields
+function buildNutritionHtml(item) {
+    const facts = [];
+    if (typeof item.calories === 'number') {
+        facts.push(`<li><span class="menu-nutrition-label">Calories</span> ${item.calories}</li>`);
+    }
+    if (typeof item.caffeineMg === 'number') {
+        facts.push(`<li><span class="menu-nutrition-label">Caffeine</span> ${item.caffeineMg} mg</li>`);
+    }
+    if (Array.isArray(item.allergens)) {
+        const names = item.allergens.map(id => {
+            const allergen = ALLERGENS.find(option => option.id === id);
+            return allergen ? allergen.label : id;
+        });
+        const allergenText = names.length > 0 ? `Contains ${names.join(', ')}` : 'No listed allergens';
+        facts.push(`<li><span class="menu-nutrition-label">Allergens</span> ${escapeHtml(allergenText)}</li>`);
+    }
+    if (Array.isArray(item.ingredients) && item.ingredients.length > 0) {
+        facts.push(`<li><span class="menu-nutrition-label">Ingredients</span> ${escapeHtml(item.ingredients.join(', '))}</li>`);
+    }
+    if (facts.length === 0) return '';
+
+    const note = getProductModifierGroups(item).length > 0
+        ? '<p class="menu-nutrition-note">For the standard recipe, before customizations.</p>'
+        : '';
+
+    return `
+        <details class="menu-nutrition">
+            <summary>Nutrition &amp; allergens</summary>
+            <ul class="menu-nutrition-facts">${facts.join('')}</ul>
+            ${note}
+        </details>
+    `;
 }
 
-function renderMenu(items) {
+// `highlights` maps item id -> { name, category, description } match ranges from searchMenu()
+function renderMenu(items, highlights = new Map()) {
     if (!menuContainer) return;
     menuContainer.innerHTML = '';
     
     if (items.length === 0) {
-        menuContainer.innerHTML = '<div class="col-12 text-center py-5"><h4>No items found matching your search.</h4></div>';
+        menuContainer.innerHTML = '<div class="col-12 text-center py-5"><h4>No items match your search and filters.</h4></div>';
         return;
     }
 
+    const now = getStoreNow();
+
     items.forEach(item => {
         const cardWrapper = document.createElement('div');
         cardWrapper.className = 'col-md-6 col-lg-4 col-xl-3 mb-4';
         
         const featuredBadge = item.featured ? '<span class="position-absolute top-0 end-0 badge rounded-pill bg-warning text-dark m-2" style="z-index: 1;">Featured</span>' : '';
+        const ranges = highlights.get(item.id) || {};
+        const availability = getAvailability(item, now);
+        const availabilityNote = availability.label
+            ? `<p class="menu-availability small mb-0">${escapeHtml(availability.label)}</p>`
+            : '';
+        const orderButton = availability.orderable
+            ? `<button type="button" class="btn btn-outline-primary w-100 btn-add-to-order" data-product-id="${escapeHtml(item.id)}">Add to Order</button>`
+            : '<button type="button" class="btn btn-outline-secondary w-100" disabled>Not available right now</button>';
 
         // Using Bootstrap Card
         cardWrapper.innerHTML = `
-            <div class="card h-100 shadow-sm border-0 position-relative">
+            <div class="card h-100 shadow-sm border-0 position-relative${availability.orderable ? '' : ' menu-item-unavailable'}">
                 ${featuredBadge}
                 <div class="card-header bg-transparent border-0 d-flex justify-content-between align-items-center pt-3 pb-0">
-                    <span class="fs-1">${item.icon}</span>
-                    <span class="badge bg-light text-dark border">${item.category}</span>
+                    <span class="fs-1">${escapeHtml(item.icon)}</span>
+                    <span class="badge bg-light text-dark border">${highlightText(item.category, ranges.category)}</span>
                 </div>
                 <div class="card-body">
                     <div class="d-flex justify-content-between align-items-center mb-2">
-                        <h5 class="card-title mb-0 fw-bold">${item.name}</h5>
+                        <h5 class="card-title mb-0 fw-bold"><a href="${getItemLink(item.id)}" class="menu-item-link">${highlightText(item.name, ranges.name)}</a></h5>
                         <span class="text-primary fw-bold">$${item.price.toFixed(2)}</span>
                     </div>
-                    <p class="card-text text-muted small">${item.description}</p>
+                    <p class="card-text text-muted small">${highlightText(item.description, ranges.description)}</p>
+                    ${availabilityNote}
+                    ${buildNutritionHtml(item)}
                 </div>
                 <div class="card-footer bg-transparent border-0 pb-3">
-                    <button class="btn btn-outline-primary w-100">Add to Order</button>
+                    ${orderButton}
                 </div>
             </div>
         `;
@@ -115,17 +344,385 @@ function renderMenu(items) {
     });
 }
 
+// Unique categories in catalog order
+function getCategories(items) {
+    return [...new Set(items.map(item => item.category))];
+}
+
+// Split text into lowercase words with their positions, e.g. "Cold Brew" -> cold@0, brew@5
+function tokenize(text) {
+    const words = [];
+    const pattern = /[a-z0-9]+/gi;
+    let match;
+    while ((match = pattern.exec(String(text))) !== null) {
+        words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return words;
+}
+
+// Strip everything but letters and digits so "cold brew" and "coldbrew" compare equal
+function compactTerm(term) {
+    return term.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Edit distance counting insertions, deletions, substitutions and swapped neighbours.
+// Stops early and returns max + 1 once the distance is known to exceed `max`.
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+// How many typos a query word may contain: none for short words, more for long ones
+// ("late" finds latte)
+function allowedTypos(term) {
+    if (term.length >= 9) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+// Best match of one search term against a field's words (and adjacent word pairs,
+// so "coldbrew" finds "Cold Brew"). Returns { quality, start, end } or null.
+// Synonyms are matched exactly, without typo tolerance or in-word substrings.
+function matchTerm(term, words, fuzzy = true) {
+    const candidates = words.map(word => ({ text: word.word, start: word.start, end: word.end }));
+    for (let i = 0; i < words.length - 1; i++) {
+        candidates.push({ text: words[i].word + words[i + 1].word, start: words[i].start, end: words[i + 1].end });
+    }
+
+    let best = null;
+    candidates.forEach(candidate => {
+        let quality = 0;
+        let start = candidate.start;
+        let end = candidate.end;
+        const index = candidate.text.indexOf(term);
+
+        if (candidate.text === term) {
+            quality = 1;
+        } else if (index === 0) {
+            quality = 0.9;
+            end = start + term.length;
+        } else if (fuzzy && index > 0 && term.length >= MIN_INWORD_TERM_LENGTH && candidate.end - candidate.start === candidate.text.length) {
+            // Substring inside a single word, e.g. "berry" in "Blueberry"
+            quality = 0.75;
+            start += index;
+            end = start + term.length;
+        } else {
+            const typos = fuzzy ? allowedTypos(term) : 0;
+            if (typos > 0 && editDistance(term, candidate.text, typos) <= typos) {
+                quality = 0.6;
+            }
+        }
+
+        if (quality > 0 && (!best || quality > best.quality)) {
+            best = { quality, start, end };
+        }
+    });
+    return best;
+}
+
+// Score an item against the query words. Every word (or one of its synonyms) must
+// match somewhere; returns { score, ranges } or null when the item does not match.
+function scoreItem(item, queryWords) {
+    const ranges = { name: [], category: [], description: [] };
+    const fieldWords = {};
+    SEARCH_FIELDS.forEach(field => {
+        fieldWords[field.key] = tokenize(item[field.key]);
+    });
+    const dietaryTags = (item.dietary || []).map(compactTerm);
+    let score = 0;
+
+    for (const queryWord of queryWords) {
+        const synonyms = (SEARCH_SYNONYMS[queryWord] || []).map(compactTerm);
+        let bestScore = 0;
+        let bestRange = null;
+
+        [compactTerm(queryWord), ...synonyms].forEach((term, index) => {
+            const synonymFactor = index === 0 ? 1 : 0.8;
+            if (!term) return;
+
+            SEARCH_FIELDS.forEach(field => {
+                const match = matchTerm(term, fieldWords[field.key], index === 0);
+                if (match && match.quality * field.weight * synonymFactor > bestScore) {
+                    bestScore = match.quality * field.weight * synonymFactor;
+                    bestRange = { field: field.key, start: match.start, end: match.end };
+                }
+            });
+
+            // Synonyms such as "decaf" can also match a dietary tag
+            if (index > 0 && dietaryTags.includes(term) && synonymFactor > bestScore) {
+                bestScore = synonymFactor;
+                bestRange = null;
+            }
+        });
+
+        if (bestScore === 0) return null;
+        score += bestScore;
+        if (bestRange) {
+            ranges[bestRange.field].push([bestRange.start, bestRange.end]);
+        }
+    }
+
+    return { score, ranges };
+}
+
+// Ranked, typo-tolerant search over name, category and description.
+// Returns matching items best-first plus a Map of item id -> highlight ranges.
+function searchMenu(items, query) {
+    const queryWords = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const highlights = new Map();
+    if (queryWords.length === 0) {
+        return { results: items.slice(), highlights };
+    }
+
+    const scored = [];
+    items.forEach((item, index) => {
+        const match = scoreItem(item, queryWords);
+        if (match) {
+            scored.push({ item, index, score: match.score });
+            highlights.set(item.id, match.ranges);
+        }
+    });
+
+    // Highest score first; ties keep catalog order
+    scored.sort((a, b) => b.score - a.score || a.index - b.index);
+    return { results: scored.map(entry => entry.item), highlights };
+}
+
+// Check an item against every active facet except `skipFacet`, so option
+// counts show what a shopper would get by changing just that facet
+function matchesFacets(item, filters, skipFacet) {
+    if (skipFacet !== 'categories' && filters.categories.length > 0 &&
+        !filters.categories.includes(item.category)) {
+        return false;
+    }
+    if (skipFacet !== 'priceRange' && filters.priceRange) {
+        const range = PRICE_RANGES.find(option => option.id === filters.priceRange);
+        if (range && (item.price < range.min || item.price >= range.max)) {
+            return false;
+        }
+    }
+    if (skipFacet !== 'dietary') {
+        const tags = item.dietary || [];
+        if (!filters.dietary.every(tag => tags.includes(tag))) {
+            return false;
+        }
+    }
+    // Products without an "allergens" list are unknown, so any allergen filter hides them
+    if (skipFacet !== 'allergens' && filters.allergens.length > 0) {
+        if (!Array.isArray(item.allergens) ||
+            filters.allergens.some(allergen => item.allergens.includes(allergen))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function hasActiveFilters() {
+    return activeFilters.categories.length > 0 ||
+        activeFilters.priceRange !== '' ||
+        activeFilters.dietary.length > 0 ||
+        activeFilters.allergens.length > 0;
+}
+
+// Build one facet chip; counts are filled in by updateFacetCounts()
+function createFacetChip(facet, value, label) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'menu-filter-chip';
+    chip.dataset.facet = facet;
+    chip.dataset.value = value;
+    chip.setAttribute('aria-pressed', 'false');
+
+    const labelSpan = document.createElement('span');
+    labelSpan.textContent = label;
+    const countSpan = document.createElement('span');
+    countSpan.className = 'menu-filter-count';
+
+    chip.append(labelSpan, ' ', countSpan);
+    return chip;
+}
+
+// Build category, price and dietary chips once the catalog has loaded
+function renderFacets(items) {
+    if (categoryFilters) {
+        categoryFilters.innerHTML = '';
+        getCategories(items).forEach(category => {
+            categoryFilters.appendChild(createFacetChip('categories', category, category));
+        });
+    }
+    if (priceFilters) {
+        priceFilters.innerHTML = '';
+        PRICE_RANGES.forEach(range => {
+            priceFilters.appendChild(createFacetChip('priceRange', range.id, range.label));
+        });
+    }
+    if (dietaryFilters) {
+        dietaryFilters.innerHTML = '';
+        DIETARY_TAGS.forEach(tag => {
+            dietaryFilters.appendChild(createFacetChip('dietary', tag.id, tag.label));
+        });
+    }
+    if (allergenFilters) {
+        allergenFilters.innerHTML = '';
+        ALLERGENS.forEach(allergen => {
+            allergenFilters.appendChild(createFacetChip('allergens', allergen.id, allergen.label));
+        });
+    }
+}
+
+// Refresh each chip's pressed state and result count for the current search and facets
+function updateFacetCounts(searchedItems) {
+    document.querySelectorAll('.menu-filter-chip').forEach(chip => {
+        const facet = chip.dataset.facet;
+        const value = chip.dataset.value;
+        const isActive = facet === 'priceRange'
+            ? activeFilters.priceRange === value
+            : activeFilters[facet].includes(value);
+
+        const trialFilters = {
+            categories: facet === 'categories' ? [value] : activeFilters.categories,
+            priceRange: facet === 'priceRange' ? value : activeFilters.priceRange,
+            dietary: facet === 'dietary' ? [...new Set([...activeFilters.dietary, value])] : activeFilters.dietary,
+            allergens: facet === 'allergens' ? [...new Set([...activeFilters.allergens, value])] : activeFilters.allergens
+        };
+        const count = searchedItems.filter(item => matchesFacets(item, trialFilters)).length;
+
+        chip.setAttribute('aria-pressed', String(isActive));
+        chip.classList.toggle('active', isActive);
+        chip.disabled = count === 0 && !isActive;
+        chip.querySelector('.menu-filter-count').textContent = `(${count})`;
+    });
+
+    if (clearFiltersButton) {
+        clearFiltersButton.disabled = !hasActiveFilters();
+    }
+}
+
+// Toggle a facet option; price is single-select, the other facets are multi-select
+function handleFacetClick(event) {
+    const chip = event.target.closest('.menu-filter-chip');
+    if (!chip) return;
+
+    const facet = chip.dataset.facet;
+    const value = chip.dataset.value;
+
+    if (facet === 'priceRange') {
+        activeFilters.priceRange = activeFilters.priceRange === value ? '' : value;
+    } else if (activeFilters[facet].includes(value)) {
+        activeFilters[facet] = activeFilters[facet].filter(option => option !== value);
+    } else {
+        activeFilters[facet] = [...activeFilters[facet], value];
+    }
+
+    filterAndSortMenu();
+    updateUrlState();
+}
+
+function clearFilters() {
+    activeFilters.categories = [];
+    activeFilters.priceRange = '';
+    activeFilters.dietary = [];
+    activeFilters.allergens = [];
+    filterAndSortMenu();
+    updateUrlState();
+}
+
+// Build the query string for the current search, sort and facets, e.g.
+// "?q=latte&sort=price-low&category=Cold+Brew&diet=vegan"
+function buildQueryString() {
+    const params = new URLSearchParams();
+    const searchTerm = searchInput ? searchInput.value.trim() : '';
+
+    if (searchTerm) params.set(URL_PARAMS.search, searchTerm);
+    if (sortSelect && sortSelect.value !== 'default') params.set(URL_PARAMS.sort, sortSelect.value);
+    activeFilters.categories.forEach(category => params.append(URL_PARAMS.categories, category));
+    if (activeFilters.priceRange) params.set(URL_PARAMS.priceRange, activeFilters.priceRange);
+    activeFilters.dietary.forEach(tag => params.append(URL_PARAMS.dietary, tag));
+    activeFilters.allergens.forEach(allergen => params.append(URL_PARAMS.allergens, allergen));
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+// Mirror the menu state into the address bar; adds a history entry unless nothing changed
+function updateUrlState() {
+    clearTimeout(searchHistoryTimer);
+
+    const query = buildQueryString();
+    if (query === window.location.search) return;
+
+    history.pushState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+}
+
+// Typing filters right away but only adds a history entry once the user pauses
+function handleSearchInput() {
+    filterAndSortMenu();
+    clearTimeout(searchHistoryTimer);
+    searchHistoryTimer = setTimeout(updateUrlState, SEARCH_HISTORY_DELAY);
+}
+
+function handleSortChange() {
+    filterAndSortMenu();
+    updateUrlState();
+}
+
+// Restore search, sort and facets from the query string, ignoring unknown values
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const categories = getCategories(flatMenu);
+
+    if (searchInput) {
+        searchInput.value = params.get(URL_PARAMS.search) || '';
+    }
+    if (sortSelect) {
+        const sort = params.get(URL_PARAMS.sort);
+        const isKnownSort = Array.from(sortSelect.options).some(option => option.value === sort);
+        sortSelect.value = isKnownSort ? sort : 'default';
+    }
+
+    const price = params.get(URL_PARAMS.priceRange);
+    activeFilters.categories = params.getAll(URL_PARAMS.categories).filter(category => categories.includes(category));
+    activeFilters.priceRange = PRICE_RANGES.some(range => range.id === price) ? price : '';
+    activeFilters.dietary = params.getAll(URL_PARAMS.dietary).filter(tag => DIETARY_TAGS.some(option => option.id === tag));
+    activeFilters.allergens = params.getAll(URL_PARAMS.allergens).filter(allergen => ALLERGENS.some(option => option.id === allergen));
+}
+
+// Back/forward: re-render from the URL without reloading the page
+function handlePopState() {
+    clearTimeout(searchHistoryTimer);
+    readUrlState();
+    filterAndSortMenu();
+}
+
 function filterAndSortMenu() {
     if (!searchInput || !sortSelect) return;
     
-    const searchTerm = searchInput.value.toLowerCase();
+    const searchTerm = searchInput.value.trim();
     const sortBy = sortSelect.value; 
+    const visibleMenu = getVisibleMenu();
 
-    let filteredItems = flatMenu.filter(item => 
-        item.name.toLowerCase().includes(searchTerm) || 
-        item.description.toLowerCase().includes(searchTerm) ||
-        item.category.toLowerCase().includes(searchTerm)
-    );
+    // With the default sort, search results stay in best-match order
+    const { results: searchedItems, highlights } = searchMenu(visibleMenu, searchTerm);
+    let filteredItems = searchedItems.filter(item => matchesFacets(item, activeFilters));
 
     if (sortBy === 'price-low') {
         filteredItems.sort((a, b) => a.price - b.price);
@@ -135,20 +732,387 @@ function filterAndSortMenu() {
         filteredItems.sort((a, b) => a.name.localeCompare(b.name));
     }
 
-    renderMenu(filteredItems);
+    updateFacetCounts(searchedItems);
+    if (resultsStatus) {
+        resultsStatus.textContent = `Showing ${filteredItems.length} of ${visibleMenu.length} items`;
+    }
+    renderMenu(filteredItems, highlights);
+}
+
+// Look up the modifier group definitions a product declares, skipping unknown ids
+function getProductModifierGroups(item) {
+    return (item.modifierGroups || [])
+        .filter(groupId => modifierGroups[groupId])
+        .map(groupId => ({ id: groupId, ...modifierGroups[groupId] }));
+}
+
+// Format a modifier price change, e.g. "+$0.70" or "-$0.50"
+function formatPriceDelta(delta) {
+    if (!delta) return '';
+    const sign = delta > 0 ? '+' : '-';
+    return `${sign}$${Math.abs(delta).toFixed(2)}`;
+}
+
+// Final unit price: base price plus every selected modifier's price change, summed in cents
+function calculateItemPrice(item, selectedModifiers) {
+    let cents = Math.round(item.price * 100);
+    selectedModifiers.forEach(modifier => {
+        cents += Math.round(modifier.priceDelta * 100);
+    });
+    return Math.max(0, cents) / 100;
+}
+
+// Build the fieldset for one modifier group: radios for single-select, checkboxes for multi-select
+function buildModifierGroupHtml(group) {
+    const isMultiple = group.selection === 'multiple';
+    const inputType = isMultiple ? 'checkbox' : 'radio';
+    let hint = group.required ? '(required)' : '(optional)';
+    if (isMultiple && group.maxSelections) {
+        hint = `(choose up to ${group.maxSelections})`;
+    }
+
+    let optionsHtml = '';
+
+    // Optional single-select groups get a "no change" choice so the selection can be cleared
+    if (!isMultiple && !group.required) {
+        optionsHtml += `
+            <div class="form-check">
+                <input class="form-check-input" type="radio" name="modifier-${escapeHtml(group.id)}" id="modifier-${escapeHtml(group.id)}-none" value="" checked>
+                <label class="form-check-label" for="modifier-${escapeHtml(group.id)}-none">No ${escapeHtml(group.label.toLowerCase())}</label>
+            </div>
+        `;
+    }
+
+    group.options.forEach(option => {
+        const inputId = `modifier-${group.id}-${option.id}`;
+        const checked = !isMultiple && group.default === option.id ? 'checked' : '';
+        optionsHtml += `
+            <div class="form-check">
+                <input class="form-check-input" type="${inputType}" name="modifier-${escapeHtml(group.id)}" id="${escapeHtml(inputId)}" value="${escapeHtml(option.id)}" ${checked}>
+                <label class="form-check-label d-flex justify-content-between" for="${escapeHtml(inputId)}">
+                    <span>${escapeHtml(option.label)}</span>
+                    <span class="text-muted small ms-3">${formatPriceDelta(option.priceDelta)}</span>
+                </label>
+            </div>
+        `;
+    });
+
+    return `
+        <fieldset class="mb-3" data-group-id="${escapeHtml(group.id)}">
+            <legend class="fs-6 fw-bold mb-2">${escapeHtml(group.label)} <span class="text-muted fw-normal small">${hint}</span></legend>
+            ${optionsHtml}
+        </fieldset>
+    `;
+}
+
+// Read the checked options from the customization form, in catalog order
+function getSelectedModifiers(item) {
+    const selected = [];
+    getProductModifierGroups(item).forEach(group => {
+        group.options.forEach(option => {
+            const input = document.getElementById(`modifier-${group.id}-${option.id}`);
+            if (input && input.checked) {
+                selected.push({
+                    groupId: group.id,
+                    groupLabel: group.label,
+                    optionId: option.id,
+                    optionLabel: option.label,
+                    priceDelta: option.priceDelta || 0
+                });
+            }
+        });
+    });
+    return selected;
+}
+
+// Check required groups have a choice and multi-select groups stay under their limit
+function validateModifierSelections(item, selectedModifiers) {
+    for (const group of getProductModifierGroups(item)) {
+        const count = selectedModifiers.filter(modifier => modifier.groupId === group.id).length;
+        if (group.required && count === 0) {
+            return `Please choose a ${group.label.toLowerCase()}.`;
+        }
+        if (group.maxSelections && count > group.maxSelections) {
+            return `Choose no more than ${group.maxSelections} ${group.label.toLowerCase()}.`;
+        }
+    }
+    return '';
+}
+
+// Quantity from the customize dialog, kept within the input's 1..max range
+function getCustomizeQuantity() {
+    const input = document.getElementById('customizeQuantity');
+    const max = parseInt(input.max, 10) || 20;
+    const quantity = parseInt(input.value, 10) || 1;
+    return Math.min(max, Math.max(1, quantity));
+}
+
+// Refresh the running total and lock extra checkboxes once a group hits its limit
+function updateCustomizeDialog() {
+    if (!customizingItem) return;
+
+    getProductModifierGroups(customizingItem).forEach(group => {
+        if (group.selection !== 'multiple' || !group.maxSelections) return;
+        const inputs = customizeForm.querySelectorAll(`input[name="modifier-${group.id}"]`);
+        const checkedCount = Array.from(inputs).filter(input => input.checked).length;
+        inputs.forEach(input => {
+            input.disabled = !input.checked && checkedCount >= group.maxSelections;
+        });
+    });
+
+    const quantity = getCustomizeQuantity();
+    const unitPrice = calculateItemPrice(customizingItem, getSelectedModifiers(customizingItem));
+    document.getElementById('customizePrice').textContent = `$${(unitPrice * quantity).toFixed(2)}`;
+    document.getElementById('customizeError').textContent = '';
+}
+
+// Fill and open the customization dialog for a product with modifier groups
+function openCustomizeDialog(item) {
+    if (!customizeModalEl || !customizeForm) return;
+
+    customizingItem = item;
+    document.getElementById('customizeModalLabel').textContent = `Customize ${item.name}`;
+    document.getElementById('customizeGroups').innerHTML = getProductModifierGroups(item)
+        .map(buildModifierGroupHtml)
+        .join('');
+    document.getElementById('customizeQuantity').value = 1;
+    updateCustomizeDialog();
+
+    bootstrap.Modal.getOrCreateInstance(customizeModalEl).show();
+}
+
+// Validate the dialog, then add the configured drink to the cart at its final price
+function handleCustomizeSubmit(event) {
+    event.preventDefault();
+    if (!customizingItem) return;
+
+    const cart = window.CodeAndBrew && window.CodeAndBrew.cart;
+    const selectedModifiers = getSelectedModifiers(customizingItem);
+    const error = validateModifierSelections(customizingItem, selectedModifiers);
+    if (error) {
+        document.getElementById('customizeError').textContent = error;
+        return;
+    }
+    if (!cart) return;
+
+    const quantity = getCustomizeQuantity();
+    cart.addItem({
+        ...customizingItem,
+        price: calculateItemPrice(customizingItem, selectedModifiers),
+        modifiers: selectedModifiers
+    }, quantity);
+
+    bootstrap.Modal.getInstance(customizeModalEl).hide();
+}
+
+// Read the product id from a "#item=<id>" hash; empty when there is none
+function getItemIdFromHash() {
+    return new URLSearchParams(window.location.hash.slice(1)).get('item') || '';
+}
+
+// Modifier groups listed read-only in the detail view; choices are made in the customize dialog
+function buildDetailModifiersHtml(item) {
+    const groups = getProductModifierGroups(item);
+    if (groups.length === 0) return '';
+
+    const groupsHtml = groups.map(group => {
+        const options = group.options.map(option => {
+            const delta = option.priceDelta ? ` <span class="text-muted">(${formatPriceDelta(option.priceDelta)})</span>` : '';
+            return `<li>${escapeHtml(option.label)}${delta}</li>`;
+        }).join('');
+        const note = group.required ? 'required' : 'optional';
+        return `
+            <div class="col-sm-6 mb-2">
+                <h4 class="fs-6 fw-bold mb-1">${escapeHtml(group.label)} <span class="text-muted fw-normal small">(${note})</span></h4>
+                <ul class="product-detail-options small mb-0">${options}</ul>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <h3 class="fs-5 fw-bold mt-4">Customize it</h3>
+        <div class="row">${groupsHtml}</div>
+    `;
+}
+
+// Up to MAX_RELATED_ITEMS other products from the same category that are on the menu now
+function buildRelatedItemsHtml(item) {
+    const related = getVisibleMenu()
+        .filter(other => other.category === item.category && other.id !== item.id)
+        .slice(0, MAX_RELATED_ITEMS);
+    if (related.length === 0) return '';
+
+    const links = related.map(other => `
+        <li>
+            <a href="${getItemLink(other.id)}" class="product-detail-related-link">
+                <span>${escapeHtml(other.icon)}</span>
+                <span class="flex-grow-1">${escapeHtml(other.name)}</span>
+                <span class="fw-bold">$${other.price.toFixed(2)}</span>
+            </a>
+        </li>
+    `).join('');
+
+    return `
+        <h3 class="fs-5 fw-bold mt-4">More ${escapeHtml(item.category)}</h3>
+        <ul class="product-detail-related">${links}</ul>
+    `;
+}
+
+// Fill the detail modal for one product
+function renderProductDetail(item) {
+    const title = document.getElementById('productModalLabel');
+    if (!item) {
+        title.textContent = 'Item not found';
+        productDetail.innerHTML = '<p class="mb-0">This item isn\'t on the menu right now. <a href="#" data-bs-dismiss="modal">Back to the menu</a></p>';
+        return;
+    }
+
+    const availability = getAvailability(item, getStoreNow());
+    const availabilityNote = availability.label
+        ? `<p class="menu-availability mb-2">${escapeHtml(availability.label)}</p>`
+        : '';
+    const orderButton = availability.orderable
+        ? `<button type="button" class="btn btn-primary btn-add-to-order" data-product-id="${escapeHtml(item.id)}">Add to Order</button>`
+        : '<button type="button" class="btn btn-outline-secondary" disabled>Not available right now</button>';
+
+    title.textContent = item.name;
+    productDetail.innerHTML = `
+        <img src="${escapeHtml(getProductImage(item))}" class="product-detail-image rounded mb-3" alt="${escapeHtml(item.name)}">
+        <div class="d-flex justify-content-between align-items-center mb-2">
+            <span class="badge bg-light text-dark border">${escapeHtml(item.icon)} ${escapeHtml(item.category)}</span>
+            <span class="fs-4 fw-bold text-primary">$${item.price.toFixed(2)}</span>
+        </div>
+        <p>${escapeHtml(item.description)}</p>
+        ${availabilityNote}
+        <div class="mb-2">${orderButton}</div>
+        ${buildNutritionHtml(item)}
+        ${buildDetailModifiersHtml(item)}
+        ${buildRelatedItemsHtml(item)}
+    `;
+}
+
+// Open or close the detail view to match the "#item=<id>" hash
+function handleItemRoute(event) {
+    if (!productModalEl || !productDetail || flatMenu.length === 0) return;
+
+    const modal = bootstrap.Modal.getOrCreateInstance(productModalEl);
+    const itemId = getItemIdFromHash();
+
+    // Gone back after closing; a deep link underneath stays closed too
+    if (isLeavingDetail) {
+        isLeavingDetail = false;
+        itemHistoryDepth = 0;
+        if (itemId) {
+            history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+        }
+        return;
+    }
+
+    if (!itemId) {
+        itemHistoryDepth = 0;
+        modal.hide();
+        return;
+    }
+
+    // A product link just added this entry; Back and Forward restore the depth saved on it
+    if (event && event.type === 'hashchange' && !(history.state && history.state.itemDepth)) {
+        history.replaceState(Object.assign({}, history.state, { itemDepth: itemHistoryDepth + 1 }), '');
+    }
+    itemHistoryDepth = (history.state && history.state.itemDepth) || 0;
+
+    renderProductDetail(getVisibleMenu().find(product => product.id === itemId));
+    productDetail.scrollTop = 0;
+    modal.show();
+}
+
+// Closing the detail view drops "#item=<id>" so a refresh doesn't reopen it: by
+// going back past the product links' entries, or in place for a deep link
+function handleProductModalHidden() {
+    if (!getItemIdFromHash()) return;
+
+    if (itemHistoryDepth > 0) {
+        isLeavingDetail = true;
+        history.go(-itemHistoryDepth);
+    } else {
+        history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+    }
+}
+
+// Add a catalog item to the shared cart (js/cart.js) and confirm on the button.
+// Items with modifier groups open the customization dialog first.
+function handleAddToOrder(event) {
+    const button = event.target.closest('.btn-add-to-order');
+    if (!button) return;
+
+    const item = flatMenu.find(product => product.id === button.dataset.productId);
+    const cart = window.CodeAndBrew && window.CodeAndBrew.cart;
+    if (!item || !cart || !getAvailability(item, getStoreNow()).orderable) return;
+
+    if (getProductModifierGroups(item).length > 0) {
+        // Bootstrap modals don't stack, so close the detail view before customizing
+        if (productModalEl && productModalEl.contains(button)) {
+            productModalEl.addEventListener('hidden.bs.modal', () => openCustomizeDialog(item), { once: true });
+            bootstrap.Modal.getOrCreateInstance(productModalEl).hide();
+            return;
+        }
+        openCustomizeDialog(item);
+        return;
+    }
+
+    cart.addItem(item);
+
+    const originalText = button.dataset.label || button.textContent;
+    button.dataset.label = originalText;
+    button.textContent = 'Added ✓';
+    setTimeout(() => {
+        button.textContent = originalText;
+    }, 1200);
 }
 
 // Event listeners
+if (menuContainer) {
+    menuContainer.addEventListener('click', handleAddToOrder);
+}
+if (carouselContainer) {
+    carouselContainer.addEventListener('click', handleAddToOrder);
+}
 if (searchInput) {
-    searchInput.addEventListener('input', filterAndSortMenu);
+    searchInput.addEventListener('input', handleSearchInput);
 }
 if (sortSelect) {
-    sortSelect.addEventListener('change', filterAndSortMenu);
+    sortSelect.addEventListener('change', handleSortChange);
+}
+window.addEventListener('popstate', handlePopState);
+window.addEventListener('hashchange', handleItemRoute);
+if (productModalEl) {
+    productModalEl.addEventListener('click', handleAddToOrder);
+    productModalEl.addEventListener('hidden.bs.modal', handleProductModalHidden);
+}
+[categoryFilters, priceFilters, dietaryFilters, allergenFilters].forEach(container => {
+    if (container) {
+        container.addEventListener('click', handleFacetClick);
+    }
+});
+if (clearFiltersButton) {
+    clearFiltersButton.addEventListener('click', clearFilters);
+}
+if (customizeForm) {
+    customizeForm.addEventListener('change', updateCustomizeDialog);
+    customizeForm.addEventListener('input', updateCustomizeDialog);
+    customizeForm.addEventListener('submit', handleCustomizeSubmit);
 }
 
 // Initial render
 document.addEventListener('DOMContentLoaded', async () => {
-    flatMenu = await fetchMenuData();
-    renderCarousel(flatMenu);
-    renderMenu(flatMenu); // render full menu initially
+    const catalog = await fetchMenuData();
+    flatMenu = catalog.products;
+    modifierGroups = catalog.modifierGroups;
+    renderFacets(flatMenu);
+    readUrlState(); // restore a shared or refreshed link
+    refreshAvailability(); // first render of the carousel and menu
+    setInterval(refreshAvailability, AVAILABILITY_REFRESH_MS);
+
+    // Time windows follow the selected shop's clock
+    document.addEventListener('location:change', refreshAvailability);
+    handleItemRoute(); // open a deep link such as menu.html#item=latte
 });
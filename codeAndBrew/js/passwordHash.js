@@ -0,0 +1,155 @@
+/**
+ * Code & Brew - Password Hashing
+ * Hashes passwords with PBKDF2 through the Web Crypto API so accounts store
+ * only a salt, a derived key and the parameters used to make it
+ *
+ * @format
+ */
+
+(function() {
+    "use strict";
+
+    // Constants
+    const ALGORITHM          = "PBKDF2";
+    const DIGEST             = "SHA-256";
+    const DEFAULT_ITERATIONS = 600000; // OWASP guidance for PBKDF2-HMAC-SHA256
+    const SALT_BYTES         = 16;
+    const KEY_BITS           = 256;
+
+    /**
+     * Encode bytes as base64 for storage
+     * @param {Uint8Array} bytes - Raw bytes
+     * @returns {string} Base64 text
+     */
+    function toBase64(bytes) {
+        let binary = "";
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 text back to bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Raw bytes
+     */
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Compare two byte arrays without stopping at the first difference,
+     * so the time taken doesn't hint at how much of a guess was right
+     * @param {Uint8Array} a - First bytes
+     * @param {Uint8Array} b - Second bytes
+     * @returns {boolean} True if the arrays hold the same bytes
+     */
+    function bytesEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a[i] ^ b[i];
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Get the Web Crypto API, which browsers only offer on https:// and localhost
+     * @returns {SubtleCrypto} window.crypto.subtle
+     * @throws {Error} When the page isn't in a secure context
+     */
+    function getSubtle() {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error("Password hashing needs a secure context (https:// or localhost)");
+        }
+        return window.crypto.subtle;
+    }
+
+    /**
+     * Derive a key from a password with PBKDF2
+     * @param {string} password - Password as typed
+     * @param {Uint8Array} salt - Per-user random salt
+     * @param {number} iterations - PBKDF2 iteration count
+     * @param {string} digest - Hash function name, e.g. "SHA-256"
+     * @param {number} bits - Length of the derived key in bits
+     * @returns {Promise<Uint8Array>} Derived key bytes
+     */
+    async function deriveKey(password, salt, iterations, digest, bits) {
+        const subtle = getSubtle();
+        const baseKey = await subtle.importKey(
+            "raw",
+            new TextEncoder().encode(password),
+            ALGORITHM,
+            false,
+            ["deriveBits"]
+        );
+        const derived = await subtle.deriveBits(
+            { name: ALGORITHM, salt: salt, iterations: iterations, hash: digest },
+            baseKey,
+            bits
+        );
+        return new Uint8Array(derived);
+    }
+
+    /**
+     * Hash a password with a fresh random salt
+     * @param {string} password - Password as typed
+     * @param {Object} [options] - { iterations } to override DEFAULT_ITERATIONS
+     * @returns {Promise<Object>} Record to store:
+     *     { algorithm, digest, iterations, salt, hash } with salt and hash in base64
+     */
+    async function hashPassword(password, options) {
+        const iterations = options && options.iterations ? options.iterations : DEFAULT_ITERATIONS;
+        const salt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const key = await deriveKey(password, salt, iterations, DIGEST, KEY_BITS);
+
+        return {
+            algorithm:  ALGORITHM,
+            digest:     DIGEST,
+            iterations: iterations,
+            salt:       toBase64(salt),
+            hash:       toBase64(key)
+        };
+    }
+
+    /**
+     * Check a password against a stored record, using the record's own
+     * parameters so older hashes keep working after the defaults change
+     * @param {string} password - Password as typed
+     * @param {Object} record - Record from hashPassword()
+     * @returns {Promise<boolean>} True if the password matches
+     */
+    async function verifyPassword(password, record) {
+        if (!record || record.algorithm !== ALGORITHM) return false;
+
+        const expected = fromBase64(record.hash);
+        const key = await deriveKey(password, fromBase64(record.salt), record.iterations, record.digest, expected.length * 8);
+        return bytesEqual(key, expected);
+    }
+
+    /**
+     * Check whether a stored record was made with weaker settings than the
+     * current defaults, so it should be re-hashed after the next sign-in
+     * @param {Object} record - Record from hashPassword()
+     * @returns {boolean} True if the record should be replaced
+     */
+    function needsRehash(record) {
+        return !record || record.algorithm !== ALGORITHM || record.digest !== DIGEST ||
+            record.iterations < DEFAULT_ITERATIONS;
+    }
+
+    // Share with userStore.js
+    window.CodeAndBrew = window.CodeAndBrew || {};
+    window.CodeAndBrew.passwordHash = {
+        DEFAULT_ITERATIONS: DEFAULT_ITERATIONS,
+        hashPassword: hashPassword,
+        verifyPassword: verifyPassword,
+        needsRehash: needsRehash
+    };
+})();
@@ -0,0 +1,661 @@
+/**
+ * Code & Brew - Coworking Table Reservations
+ * Book an outlet, quiet zone or group table in 30-minute slots within the
+ * selected shop's hours, and list upcoming bookings on the welcome dashboard
+ *
+ * @format
+ */
+
+(function($) {
+    "use strict";
+
+    // Constants
+    const RESERVATIONS_KEY    = "tableReservations";
+    const SLOT_MINUTES        = 30;
+    const MAX_BOOKING_MINUTES = 180; // Longest single booking, so tables turn over
+    const MAX_DAYS_AHEAD      = 14;
+    const MINUTES_PER_DAY     = 24 * 60;
+
+    // Bookable table types and how many of each the shop has
+    const TABLE_TYPES = {
+        outlet: { label: "Outlet table",  description: "Two seats beside a power outlet", tables: 6 },
+        quiet:  { label: "Quiet zone",    description: "Heads-down seating, no calls",    tables: 4 },
+        group:  { label: "Group table",   description: "Seats six for pairing or study",  tables: 2 }
+    };
+
+    // ===================================
+    // Helpers
+    // ===================================
+
+    /**
+     * Get the store hours API from script.js
+     * @returns {Object} CodeAndBrew.storeHours
+     */
+    function getStoreHours() {
+        return window.CodeAndBrew.storeHours;
+    }
+
+    // HTML escaping shared from script.js
+    const escapeHtml = window.CodeAndBrew.utils.escapeHtml;
+
+    /**
+     * Format a "YYYY-MM-DD" date for display
+     * @param {string} date - Calendar date
+     * @returns {string} Formatted date e.g. "Thursday, Oct 22"
+     */
+    function formatDate(date) {
+        const parts = date.split("-").map(Number);
+        return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2])).toLocaleDateString("en-US", {
+            weekday: "long",
+            month:   "short",
+            day:     "numeric",
+            timeZone: "UTC"
+        });
+    }
+
+    /**
+     * Describe a booking's time range
+     * @param {number} start - Minutes after midnight
+     * @param {number} end - Minutes after midnight
+     * @returns {string} e.g. "9:00 AM – 11:00 AM"
+     */
+    function formatRange(start, end) {
+        const storeHours = getStoreHours();
+        return storeHours.formatTime(start) + " – " + storeHours.formatTime(end);
+    }
+
+    /**
+     * Describe a booking length
+     * @param {number} minutes - Length in minutes
+     * @returns {string} e.g. "30 minutes", "1 hour", "2.5 hours"
+     */
+    function formatDuration(minutes) {
+        if (minutes < 60) return minutes + " minutes";
+        const hours = minutes / 60;
+        return hours + (hours === 1 ? " hour" : " hours");
+    }
+
+    // ===================================
+    // Reservations Storage (localStorage)
+    // ===================================
+
+    /**
+     * Load all reservations from localStorage
+     * @returns {Array<Object>} Reservation records
+     */
+    function loadReservations() {
+        try {
+            const raw = localStorage.getItem(RESERVATIONS_KEY);
+            const reservations = raw ? JSON.parse(raw) : [];
+            return Array.isArray(reservations) ? reservations : [];
+        } catch (err) {
+            console.error("Could not read reservations:", err);
+            return [];
+        }
+    }
+
+    /**
+     * Persist reservations array to localStorage
+     * @param {Array<Object>} reservations - Reservation records to save
+     * @returns {boolean} True if the reservations were saved
+     */
+    function saveReservations(reservations) {
+        try {
+            localStorage.setItem(RESERVATIONS_KEY, JSON.stringify(reservations));
+            return true;
+        } catch (err) {
+            console.error("Could not save reservations:", err);
+            return false;
+        }
+    }
+
+    // ===================================
+    // Availability
+    // ===================================
+
+    /**
+     * Get the bookable stretches of a day: the shop's open intervals cut to
+     * that calendar day and trimmed to whole slots
+     * @param {string} date - Store calendar date as "YYYY-MM-DD"
+     * @param {string} locationId - Shop id
+     * @returns {Array<{open: number, close: number}>} Minutes after midnight
+     */
+    function getBookableWindows(date, locationId) {
+        return getStoreHours().getOpenIntervals(date, 0, locationId)
+            .map(function(interval) {
+                return {
+                    open:  Math.ceil(Math.max(interval.open, 0) / SLOT_MINUTES) * SLOT_MINUTES,
+                    close: Math.floor(Math.min(interval.close, MINUTES_PER_DAY) / SLOT_MINUTES) * SLOT_MINUTES
+                };
+            })
+            .filter(function(stretch) {
+                return stretch.close - stretch.open >= SLOT_MINUTES;
+            });
+    }
+
+    /**
+     * Get the earliest slot that can still be booked on a date
+     * @param {string} date - Store calendar date as "YYYY-MM-DD"
+     * @returns {number} Minutes after midnight (0 for future days)
+     */
+    function getEarliestStart(date) {
+        const now = getStoreHours().getCurrentStoreTime();
+        if (date !== now.date) return 0;
+        return Math.ceil((now.hour * 60 + now.minute + 1) / SLOT_MINUTES) * SLOT_MINUTES;
+    }
+
+    /**
+     * Check whether two bookings on the same day overlap
+     * @param {Object} a - Booking { start, end }
+     * @param {Object} b - Booking { start, end }
+     * @returns {boolean} True if the time ranges overlap
+     */
+    function overlaps(a, b) {
+        return a.start < b.end && b.start < a.end;
+    }
+
+    /**
+     * Get a booking's absolute start and end, so bookings at shops in
+     * different time zones can be compared
+     * @param {Object} booking - { locationId, date, start, end }
+     * @returns {Object} { start, end } as epoch milliseconds
+     */
+    function toInstantRange(booking) {
+        const storeHours = getStoreHours();
+        return {
+            start: storeHours.getTimestamp(booking.date, booking.start, booking.locationId),
+            end:   storeHours.getTimestamp(booking.date, booking.end, booking.locationId)
+        };
+    }
+
+    /**
+     * Stretch a booking over the same user's back-to-back bookings at the
+     * same shop, so 9–12 followed by 12–3 counts as one six-hour stay
+     * @param {Object} booking - { locationId, date, start, end }
+     * @param {Array<Object>} own - The user's other reservations that day at that shop
+     * @returns {Object} { start, end } of the combined stay
+     */
+    function getContiguousRange(booking, own) {
+        const range = { start: booking.start, end: booking.end };
+        let grew = true;
+        while (grew) {
+            grew = false;
+            own.forEach(function(reservation) {
+                if (reservation.start <= range.end && reservation.end >= range.start &&
+                    (reservation.start < range.start || reservation.end > range.end)) {
+                    range.start = Math.min(range.start, reservation.start);
+                    range.end = Math.max(range.end, reservation.end);
+                    grew = true;
+                }
+            });
+        }
+        return range;
+    }
+
+    /**
+     * Find why a booking can't be made, checking it against the shop's
+     * hours and every saved reservation
+     * @param {Object} booking - { username, locationId, tableType, date, start, end }
+     * @param {Array<Object>} reservations - Saved reservations
+     * @returns {string} Problem to show the customer; empty when the booking is allowed
+     */
+    function findConflict(booking, reservations) {
+        const table = TABLE_TYPES[booking.tableType];
+        if (!booking.username) return "Sign in to reserve a table.";
+        if (!table) return "Choose a table type.";
+
+        const today = getStoreHours().getCurrentStoreTime().date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(booking.date) || booking.date < today ||
+            booking.date > getStoreHours().addDays(today, MAX_DAYS_AHEAD)) {
+            return "Pick a date within the next " + MAX_DAYS_AHEAD + " days.";
+        }
+
+        const length = booking.end - booking.start;
+        if (length < SLOT_MINUTES || length % SLOT_MINUTES !== 0 || booking.start % SLOT_MINUTES !== 0) {
+            return "Bookings are made in " + SLOT_MINUTES + "-minute slots.";
+        }
+        if (length > MAX_BOOKING_MINUTES) {
+            return "Bookings can be at most " + formatDuration(MAX_BOOKING_MINUTES) + ".";
+        }
+        if (booking.start < getEarliestStart(booking.date)) {
+            return "That time has already passed.";
+        }
+
+        const fitsHours = getBookableWindows(booking.date, booking.locationId).some(function(stretch) {
+            return booking.start >= stretch.open && booking.end <= stretch.close;
+        });
+        if (!fitsHours) return "The shop isn't open for that whole time.";
+
+        // One table at a time per customer, at either shop
+        const storeHours = getStoreHours();
+        const ownReservations = reservations.filter(function(reservation) {
+            return reservation.username === booking.username && storeHours.findLocation(reservation.locationId);
+        });
+        const bookingRange = toInstantRange(booking);
+        const clash = ownReservations.find(function(reservation) {
+            return overlaps(toInstantRange(reservation), bookingRange);
+        });
+        if (clash) {
+            const elsewhere = clash.locationId === booking.locationId
+                ? ""
+                : " at our " + storeHours.findLocation(clash.locationId).name + " shop";
+            return "You already have a " + TABLE_TYPES[clash.tableType].label.toLowerCase() +
+                " booked" + elsewhere + " from " + formatRange(clash.start, clash.end) + ".";
+        }
+
+        // Back-to-back bookings at one shop count as one stay
+        const stay = getContiguousRange(booking, ownReservations.filter(function(reservation) {
+            return reservation.locationId === booking.locationId && reservation.date === booking.date;
+        }));
+        if (stay.end - stay.start > MAX_BOOKING_MINUTES) {
+            return "Back-to-back bookings can add up to at most " + formatDuration(MAX_BOOKING_MINUTES) + ".";
+        }
+
+        const sameDay = reservations.filter(function(reservation) {
+            return reservation.locationId === booking.locationId &&
+                reservation.date === booking.date &&
+                overlaps(reservation, booking);
+        });
+
+        // Every table of this type is taken at some point in the range
+        for (let minute = booking.start; minute < booking.end; minute += SLOT_MINUTES) {
+            const slot = { start: minute, end: minute + SLOT_MINUTES };
+            const taken = sameDay.filter(function(reservation) {
+                return reservation.tableType === booking.tableType && overlaps(reservation, slot);
+            }).length;
+            if (taken >= table.tables) {
+                return "Every " + table.label.toLowerCase() + " is booked at " +
+                    getStoreHours().formatTime(minute) + ".";
+            }
+        }
+
+        return "";
+    }
+
+    /**
+     * List the start times a customer can pick for a table on a date
+     * @param {Object} base - { username, locationId, tableType, date }
+     * @returns {Array<{minutes: number, label: string, full: boolean}>} Start slots
+     */
+    function getStartOptions(base) {
+        const reservations = loadReservations();
+        const earliest = getEarliestStart(base.date);
+        const options = [];
+
+        getBookableWindows(base.date, base.locationId).forEach(function(stretch) {
+            for (let start = Math.max(stretch.open, earliest); start + SLOT_MINUTES <= stretch.close; start += SLOT_MINUTES) {
+                const booking = $.extend({}, base, { start: start, end: start + SLOT_MINUTES });
+                options.push({
+                    minutes: start,
+                    label:   getStoreHours().formatTime(start),
+                    full:    findConflict(booking, reservations) !== ""
+                });
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * List the booking lengths available from a start time, stopping at
+     * closing time, the next conflict or the maximum booking length
+     * @param {Object} base - { username, locationId, tableType, date }
+     * @param {number} start - Start time in minutes after midnight
+     * @returns {Array<number>} Lengths in minutes
+     */
+    function getDurationOptions(base, start) {
+        const reservations = loadReservations();
+        const durations = [];
+
+        for (let length = SLOT_MINUTES; length <= MAX_BOOKING_MINUTES; length += SLOT_MINUTES) {
+            const booking = $.extend({}, base, { start: start, end: start + length });
+            if (findConflict(booking, reservations) !== "") break;
+            durations.push(length);
+        }
+
+        return durations;
+    }
+
+    /**
+     * Save a new reservation after checking it against fresh storage, in case
+     * another tab booked the same table since the form was drawn
+     * @param {Object} booking - { username, locationId, tableType, date, start, end }
+     * @returns {{reservation: Object|null, error: string}} The saved record, or why it failed
+     */
+    function createReservation(booking) {
+        const reservations = loadReservations();
+        const error = findConflict(booking, reservations);
+        if (error) return { reservation: null, error: error };
+
+        const reservation = $.extend({ id: Date.now(), createdAt: new Date().toISOString() }, booking);
+        reservations.push(reservation);
+        if (!saveReservations(reservations)) {
+            return { reservation: null, error: "Your reservation could not be saved. Please try again." };
+        }
+        return { reservation: reservation, error: "" };
+    }
+
+    /**
+     * Cancel one of a user's reservations
+     * @param {number} id - Reservation id
+     * @param {string} username - Owner of the reservation
+     * @returns {Object|null} The cancelled reservation, or null if not found
+     */
+    function cancelReservation(id, username) {
+        const reservations = loadReservations();
+        const match = reservations.find(function(reservation) {
+            return reservation.id === id && reservation.username === username;
+        });
+        if (!match) return null;
+
+        saveReservations(reservations.filter(function(reservation) {
+            return reservation !== match;
+        }));
+        return match;
+    }
+
+    /**
+     * Get a user's reservations that haven't ended yet, soonest first
+     * @param {string} username - Account username
+     * @returns {Array<Object>} Upcoming reservations
+     */
+    function getUpcomingReservations(username) {
+        const storeHours = getStoreHours();
+        const now = Date.now();
+
+        return loadReservations()
+            .filter(function(reservation) {
+                return reservation.username === username && storeHours.findLocation(reservation.locationId) &&
+                    storeHours.getTimestamp(reservation.date, reservation.end, reservation.locationId) > now;
+            })
+            .map(function(reservation) {
+                return {
+                    reservation: reservation,
+                    startsAt:    storeHours.getTimestamp(reservation.date, reservation.start, reservation.locationId)
+                };
+            })
+            .sort(function(a, b) {
+                return a.startsAt - b.startsAt;
+            })
+            .map(function(entry) {
+                return entry.reservation;
+            });
+    }
+
+    // ===================================
+    // Rendering
+    // ===================================
+
+    /**
+     * Read the table, date and shop the form currently describes
+     * @returns {Object} { username, locationId, tableType, date }
+     */
+    function getFormBase() {
+        const user = window.CodeAndBrew.auth.getCurrentUser();
+        return {
+            username:   user ? user.username : "",
+            locationId: getStoreHours().getSelectedLocation().id,
+            tableType:  $("#reservationTable").val(),
+            date:       $("#reservationDate").val()
+        };
+    }
+
+    /**
+     * Show or clear the form's error message
+     * @param {string} message - Error text; empty to hide
+     */
+    function showFormError(message) {
+        $("#reservationError").text(message).prop("hidden", !message);
+    }
+
+    /**
+     * Announce a change to screen readers
+     * @param {string} message - Text to announce
+     */
+    function announce(message) {
+        $("#reservationsStatus").text(message);
+    }
+
+    /**
+     * Describe the chosen day's hours under the date field
+     * @param {Object} base - Form values from getFormBase()
+     */
+    function renderDayHours(base) {
+        const storeHours = getStoreHours();
+        const schedule = storeHours.getScheduleForDate(base.date, base.locationId);
+        const shop = storeHours.getSelectedLocation().name;
+        let text;
+
+        if (schedule.closed) {
+            text = "The " + shop + " shop is closed" + (schedule.reason ? " for " + schedule.reason : "") + " that day.";
+        } else {
+            text = shop + " is open " + getBookableWindows(base.date, base.locationId).map(function(stretch) {
+                return formatRange(stretch.open, stretch.close);
+            }).join(" and ") + (schedule.reason ? " (" + schedule.reason + ")" : "") + ".";
+        }
+
+        $("#reservationHours").text(text);
+    }
+
+    /**
+     * Rebuild the length options for the chosen start time
+     */
+    function renderDurationOptions() {
+        const $duration = $("#reservationDuration");
+        const start = parseInt($("#reservationStart").val(), 10);
+        const previous = parseInt($duration.val(), 10);
+
+        $duration.empty();
+        if (isNaN(start)) {
+            $duration.append('<option value="">Pick a start time first</option>').prop("disabled", true);
+            return;
+        }
+
+        getDurationOptions(getFormBase(), start).forEach(function(length) {
+            $duration.append(
+                '<option value="' + length + '">' + formatDuration(length) +
+                " (until " + getStoreHours().formatTime(start + length) + ")</option>"
+            );
+        });
+        $duration.prop("disabled", false);
+        if ($duration.find('option[value="' + previous + '"]').length) {
+            $duration.val(String(previous));
+        }
+    }
+
+    /**
+     * Rebuild the start time options for the chosen table and date
+     */
+    function renderStartOptions() {
+        const base = getFormBase();
+        const $start = $("#reservationStart");
+        const previous = $start.val();
+
+        renderDayHours(base);
+        $start.empty();
+
+        const options = getStartOptions(base);
+        const open = options.filter(function(option) { return !option.full; });
+
+        if (open.length === 0) {
+            $start.append('<option value="">No times available</option>').prop("disabled", true);
+        } else {
+            $start.append('<option value="">Select a time...</option>').prop("disabled", false);
+            options.forEach(function(option) {
+                $start.append(
+                    '<option value="' + option.minutes + '"' + (option.full ? " disabled" : "") + ">" +
+                    option.label + (option.full ? " (unavailable)" : "") + "</option>"
+                );
+            });
+            if (previous && $start.find('option[value="' + previous + '"]:not(:disabled)').length) {
+                $start.val(previous);
+            }
+        }
+
+        renderDurationOptions();
+    }
+
+    /**
+     * Build one upcoming reservation list item
+     * @param {Object} reservation - Reservation record
+     * @returns {string} List item HTML
+     */
+    function buildReservationItem(reservation) {
+        const table = TABLE_TYPES[reservation.tableType];
+        const location = getStoreHours().findLocation(reservation.locationId);
+        const label = table ? table.label : reservation.tableType;
+
+        return (
+            '<li class="reservation-item" data-id="' + reservation.id + '">' +
+            '<div class="reservation-item-details">' +
+            '<strong class="reservation-item-table">' + escapeHtml(label) + "</strong>" +
+            '<span class="reservation-item-when">' + formatDate(reservation.date) + " · " +
+            formatRange(reservation.start, reservation.end) + "</span>" +
+            '<span class="reservation-item-where">' + escapeHtml(location.name) + "</span>" +
+            "</div>" +
+            '<button type="button" class="btn btn-outline-secondary btn-cancel-reservation" data-id="' +
+            reservation.id + '" aria-label="Cancel ' + escapeHtml(label) + " on " + formatDate(reservation.date) +
+            " at " + getStoreHours().formatTime(reservation.start) + '">' +
+            '<i class="fas fa-times"></i> Cancel</button>' +
+            "</li>"
+        );
+    }
+
+    /**
+     * Render the signed-in user's upcoming reservations
+     */
+    function renderReservations() {
+        const user = window.CodeAndBrew.auth.getCurrentUser();
+        const upcoming = user ? getUpcomingReservations(user.username) : [];
+
+        $("#reservationsList").html(upcoming.map(buildReservationItem).join(""));
+        $("#reservationsEmpty").prop("hidden", upcoming.length > 0);
+    }
+
+    /**
+     * Redraw the form and list, e.g. after the shop or stored bookings change
+     */
+    function render() {
+        const today = getStoreHours().getCurrentStoreTime().date;
+        const $date = $("#reservationDate");
+        const lastDay = getStoreHours().addDays(today, MAX_DAYS_AHEAD);
+
+        $date.attr({ min: today, max: lastDay });
+        if (!$date.val() || $date.val() < today || $date.val() > lastDay) {
+            $date.val(today);
+        }
+
+        renderStartOptions();
+        renderReservations();
+    }
+
+    // ===================================
+    // Event Handlers
+    // ===================================
+
+    /**
+     * Handle the reservation form submit
+     * @param {Event} e - Submit event
+     */
+    function handleSubmit(e) {
+        e.preventDefault();
+        const base = getFormBase();
+        const start = parseInt($("#reservationStart").val(), 10);
+        const length = parseInt($("#reservationDuration").val(), 10);
+
+        if (isNaN(start) || isNaN(length)) {
+            showFormError("Pick a start time and how long you'll stay.");
+            return;
+        }
+
+        const result = createReservation($.extend(base, { start: start, end: start + length }));
+        if (result.error) {
+            showFormError(result.error);
+            renderStartOptions();
+            return;
+        }
+
+        const reservation = result.reservation;
+        showFormError("");
+        announce(
+            TABLE_TYPES[reservation.tableType].label + " booked for " + formatDate(reservation.date) +
+            ", " + formatRange(reservation.start, reservation.end) + "."
+        );
+        render();
+    }
+
+    /**
+     * Handle a Cancel button in the upcoming reservations list
+     * @param {Event} e - Click event
+     */
+    function handleCancelClick(e) {
+        e.preventDefault();
+        const user = window.CodeAndBrew.auth.getCurrentUser();
+        const id = parseInt($(this).data("id"), 10);
+        if (!user || !confirm("Cancel this table reservation?")) return;
+
+        const cancelled = cancelReservation(id, user.username);
+        if (!cancelled) return;
+
+        announce(
+            "Cancelled your " + TABLE_TYPES[cancelled.tableType].label.toLowerCase() + " for " +
+            formatDate(cancelled.date) + ", " + formatRange(cancelled.start, cancelled.end) + "."
+        );
+        render();
+        $("#reservationsHeading").trigger("focus");
+    }
+
+    // ===================================
+    // Initialisation
+    // ===================================
+
+    /**
+     * Fill the table type picker from TABLE_TYPES
+     */
+    function renderTableTypes() {
+        const $table = $("#reservationTable").empty();
+        $.each(TABLE_TYPES, function(value, table) {
+            $table.append('<option value="' + value + '">' + table.label + " – " + table.description + "</option>");
+        });
+    }
+
+    /**
+     * Initialise the reservation form, if this page has one
+     */
+    function init() {
+        if (!$("#reservationForm").length) return;
+
+        if (!window.CodeAndBrew.auth.getCurrentUser()) {
+            $("#reservationForm").prop("hidden", true);
+            $("#reservationSignIn").prop("hidden", false);
+        }
+
+        renderTableTypes();
+        render();
+
+        $("#reservationTable, #reservationDate").on("change", function() {
+            showFormError("");
+            renderStartOptions();
+        });
+        $("#reservationStart").on("change", renderDurationOptions);
+        $("#reservationForm").on("submit", handleSubmit);
+        $(document).on("click", ".btn-cancel-reservation", handleCancelClick);
+
+        // The form books the shop picked in the footer
+        document.addEventListener("location:change", function() {
+            showFormError("");
+            render();
+        });
+
+        // Keep in step with bookings made in another tab
+        window.addEventListener("storage", function(e) {
+            if (e.key === RESERVATIONS_KEY) render();
+        });
+    }
+
+    // Wait for DOM ready
+    $(document).ready(function() {
+        init();
+    });
+
+})(jQuery);
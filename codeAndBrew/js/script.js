@@ -1,6 +1,7 @@
 /**
  * Code & Brew - DEM-24: Store Hours & Location
- * Handles dynamic "Open Now" / "Closed" badge based on current time
+ * Handles dynamic "Open Now" / "Closed" badge based on current time,
+ * plus the footer's location picker, address, map and weekly hours
  * WCAG Compliant with ARIA live regions
  *
  * @format
@@ -12,29 +13,195 @@
 	// Debug flag - set to true to enable console logging
 	const DEBUG = false;
 
+	// Day names indexed by day of week (0=Sunday, 1=Monday, ..., 6=Saturday)
+	const DAY_LABELS = [
+		"Sunday",
+		"Monday",
+		"Tuesday",
+		"Wednesday",
+		"Thursday",
+		"Friday",
+		"Saturday",
+	];
+
 	/**
-	 * Store Hours Schedule
-	 * @type {Record<number, {open: number, close: number, label: string}>}
+	 * Shop Locations
+	 *
+	 * schedule: open intervals for each day of the week as 24-hour "HH:MM"
+	 *   times. A close time at or before its open time runs past midnight
+	 *   into the next day (e.g. { open: "20:00", close: "01:00" }); "24:00"
+	 *   closes at midnight; an empty list means closed all day.
+	 * exceptions: date-specific overrides keyed by the shop's calendar date.
+	 *   Closed days need only { date, closed: true, reason }; special-hours
+	 *   days list their own intervals in place of the weekly hours.
+	 * mapEmbedUrl: optional; defaults to a Google Maps embed of mapQuery.
+	 *
+	 * The first location is the default until a visitor picks another.
+	 * @type {Array<{id: string, name: string, address: Array<string>, timeZone: string,
+	 *   taxRate: number, mapQuery: string, mapEmbedUrl?: string,
+	 *   schedule: Record<number, Array<{open: string, close: string}>>,
+	 *   exceptions: Array<{date: string, reason: string, closed?: boolean, hours?: Array<{open: string, close: string}>}>}>}
 	 */
-	const STORE_SCHEDULE = {
-		// Day of week (0=Sunday, 1=Monday, ..., 6=Saturday)
-		0: { open: 9, close: 18, label: "Sunday" }, // 9 AM - 6 PM
-		1: { open: 7, close: 19, label: "Monday" }, // 7 AM - 7 PM
-		2: { open: 7, close: 19, label: "Tuesday" }, // 7 AM - 7 PM
-		3: { open: 7, close: 19, label: "Wednesday" }, // 7 AM - 7 PM
-		4: { open: 7, close: 19, label: "Thursday" }, // 7 AM - 7 PM
-		5: { open: 7, close: 19, label: "Friday" }, // 7 AM - 7 PM
-		6: { open: 8, close: 20, label: "Saturday" }, // 8 AM - 8 PM
-	};
+	const STORE_LOCATIONS = [
+		{
+			id: "stevens-point",
+			name: "Stevens Point",
+			address: ["5922 US Highway 10", "Stevens Point, WI 54482"],
+			timeZone: "America/Chicago",
+			taxRate: 0.055, // Wisconsin 5% + Portage County 0.5%
+			mapQuery: "5922 US Highway 10 Stevens Point WI 54482",
+			mapEmbedUrl:
+				"https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d2856.789!2d-89.534!3d44.52!2m3!1f0!2f0!3f0!3m2!1i1024!2i768!4f13.1!3m3!1m2!1s0x0%3A0x0!2zNDTCsDMxJzE0LjQiTiA4OcKwMzInMDIuNCJX!5e0!3m2!1sen!2sus!4v1234567890",
+			schedule: {
+				0: [{ open: "09:00", close: "18:00" }],
+				1: [{ open: "07:00", close: "19:00" }],
+				2: [{ open: "07:00", close: "19:00" }],
+				3: [{ open: "07:00", close: "19:00" }],
+				4: [{ open: "07:00", close: "19:00" }],
+				5: [{ open: "07:00", close: "19:00" }],
+				6: [{ open: "08:00", close: "20:00" }],
+			},
+			exceptions: [
+				{ date: "2026-11-26", closed: true, reason: "Thanksgiving" },
+				{ date: "2026-12-24", hours: [{ open: "07:00", close: "14:00" }], reason: "Christmas Eve" },
+				{ date: "2026-12-25", closed: true, reason: "Christmas Day" },
+				{ date: "2026-12-31", hours: [{ open: "07:00", close: "16:00" }], reason: "New Year's Eve" },
+				{ date: "2027-01-01", closed: true, reason: "New Year's Day" },
+			],
+		},
+		{
+			id: "marquette",
+			name: "Marquette",
+			address: ["1010 N Third Street", "Marquette, MI 49855"],
+			timeZone: "America/Detroit",
+			taxRate: 0.06, // Michigan 6%; no local sales tax
+			mapQuery: "1010 N Third Street Marquette MI 49855",
+			schedule: {
+				0: [{ open: "10:00", close: "15:00" }],
+				1: [{ open: "06:30", close: "18:00" }],
+				2: [{ open: "06:30", close: "18:00" }],
+				3: [{ open: "06:30", close: "18:00" }],
+				4: [{ open: "06:30", close: "18:00" }],
+				5: [{ open: "06:30", close: "18:00" }],
+				6: [{ open: "08:00", close: "17:00" }],
+			},
+			exceptions: [
+				{ date: "2026-11-26", closed: true, reason: "Thanksgiving" },
+				{ date: "2026-12-24", hours: [{ open: "06:30", close: "12:00" }], reason: "Christmas Eve" },
+				{ date: "2026-12-25", closed: true, reason: "Christmas Day" },
+				{ date: "2027-01-01", closed: true, reason: "New Year's Day" },
+			],
+		},
+	];
+
+	// localStorage key for the visitor's chosen location id
+	const LOCATION_KEY = "storeLocation";
+
+	// localStorage key for the footer's "Show in my time zone" option
+	const LOCAL_TIME_KEY = "hoursInLocalTime";
+
+	// The footer hours table lists the week Monday first
+	const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+	// How far ahead to look for the next opening when exceptions close several days
+	const MAX_DAYS_AHEAD = 14;
+
+	const MINUTES_PER_DAY = 24 * 60;
+
+	// The badge switches to "Closing Soon" / "Opening Soon" this many minutes ahead
+	const SOON_MINUTES = 30;
+
+	// Badge states, each matching a CSS class on #openStatus
+	const STATUS_STATES = ["open", "closing-soon", "opening-soon", "closed"];
+
+	// "07:30", or "24:00" for a close at midnight
+	const CLOCK_TIME_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|24:00)$/;
+
+	let selectedLocation = null;
+
+	/**
+	 * Look up a shop by id
+	 * @param {string} id - Location id from STORE_LOCATIONS
+	 * @returns {Object|null} The location, or null if the id is unknown
+	 */
+	function findLocation(id) {
+		return (
+			STORE_LOCATIONS.find(function (location) {
+				return location.id === id;
+			}) || null
+		);
+	}
+
+	/**
+	 * Resolve an optional location id, defaulting to the selected shop
+	 * @param {string} [id] - Location id from STORE_LOCATIONS
+	 * @returns {Object} The matching location, or the selected one
+	 */
+	function resolveLocation(id) {
+		return (id && findLocation(id)) || getSelectedLocation();
+	}
+
+	/**
+	 * Get the visitor's chosen shop, falling back to the first location
+	 * when nothing (or an unknown id) is saved
+	 * @returns {Object} Entry from STORE_LOCATIONS
+	 */
+	function getSelectedLocation() {
+		if (selectedLocation) {
+			return selectedLocation;
+		}
+
+		let savedId = null;
+		try {
+			savedId = localStorage.getItem(LOCATION_KEY);
+		} catch (err) {
+			console.error("Could not read saved location:", err);
+		}
+
+		selectedLocation = findLocation(savedId) || STORE_LOCATIONS[0];
+		return selectedLocation;
+	}
+
+	/**
+	 * Switch to another shop, remember the choice and refresh the footer.
+	 * Fires a "location:change" event on document with { location } as detail.
+	 * @param {string} id - Location id from STORE_LOCATIONS
+	 * @returns {boolean} False if the id is unknown
+	 */
+	function selectLocation(id) {
+		const location = findLocation(id);
+		if (!location) {
+			console.warn("Unknown store location:", id);
+			return false;
+		}
+
+		selectedLocation = location;
+		try {
+			localStorage.setItem(LOCATION_KEY, id);
+		} catch (err) {
+			console.error("Could not save location:", err);
+		}
+
+		updateLocationDetails();
+		scheduleStatusRefresh();
+		document.dispatchEvent(
+			new CustomEvent("location:change", { detail: { location: location } })
+		);
+		return true;
+	}
 
 	/**
-	 * Get current store time in America/Chicago timezone
-	 * @returns {{ day: number, hour: number, minute: number }}
+	 * Get current time at the selected shop, in its own time zone
+	 * @returns {{ day: number, hour: number, minute: number, date: string }}
+	 *   date is the store's calendar date as "YYYY-MM-DD"
 	 */
 	function getCurrentStoreTime() {
 		const formatter = new Intl.DateTimeFormat("en-US", {
-			timeZone: "America/Chicago",
+			timeZone: getSelectedLocation().timeZone,
 			weekday: "short",
+			year: "numeric",
+			month: "2-digit",
+			day: "2-digit",
 			hour: "2-digit",
 			minute: "2-digit",
 			hour12: false,
@@ -44,6 +211,9 @@
 		let weekdayShort = "";
 		let hourStr = "";
 		let minuteStr = "";
+		let yearStr = "";
+		let monthStr = "";
+		let dayStr = "";
 
 		for (const part of parts) {
 			if (part.type === "weekday") {
@@ -52,6 +222,12 @@
 				hourStr = part.value;
 			} else if (part.type === "minute") {
 				minuteStr = part.value;
+			} else if (part.type === "year") {
+				yearStr = part.value;
+			} else if (part.type === "month") {
+				monthStr = part.value;
+			} else if (part.type === "day") {
+				dayStr = part.value;
 			}
 		}
 
@@ -66,95 +242,744 @@
 		};
 
 		const day = weekdayMap[weekdayShort];
-		const hour = parseInt(hourStr, 10);
+		// Some engines report midnight as "24" with hour12: false
+		const hour = parseInt(hourStr, 10) % 24;
 		const minute = parseInt(minuteStr, 10);
+		const date = `${yearStr}-${monthStr}-${dayStr}`;
+
+		return { day, hour, minute, date };
+	}
+
+	/**
+	 * Convert a 24-hour "HH:MM" time to minutes after midnight
+	 * @param {string} time - Time such as "06:30" or "24:00"
+	 * @returns {number|null} Minutes after midnight, or null if malformed
+	 */
+	function parseClockTime(time) {
+		const match = CLOCK_TIME_PATTERN.exec(time);
+		if (!match) {
+			return null;
+		}
+		return match[1] === undefined
+			? MINUTES_PER_DAY
+			: parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+	}
+
+	/**
+	 * Format minutes after midnight as a 12-hour clock time
+	 * @param {number} minutes - Minutes after midnight (values past a day wrap)
+	 * @returns {string} e.g. "6:30 AM"
+	 */
+	function formatTime(minutes) {
+		const hour = Math.floor(minutes / 60) % 24;
+		const minute = minutes % 60;
+		const period = hour >= 12 ? "PM" : "AM";
+		return `${hour % 12 || 12}:${String(minute).padStart(2, "0")} ${period}`;
+	}
 
-		return { day, hour, minute };
+	/**
+	 * Move a "YYYY-MM-DD" date forward or back by whole days
+	 * @param {string} date - Calendar date
+	 * @param {number} days - Days to add (negative to go back)
+	 * @returns {string} Resulting date as "YYYY-MM-DD"
+	 */
+	function addDays(date, days) {
+		const [year, month, day] = date.split("-").map(Number);
+		return new Date(Date.UTC(year, month - 1, day + days))
+			.toISOString()
+			.slice(0, 10);
+	}
+
+	/**
+	 * Escape text for safe insertion into HTML
+	 * @param {*} str - Text to escape; null or undefined becomes ""
+	 * @returns {string} HTML-escaped text
+	 */
+	function escapeHtml(str) {
+		if (str == null) {
+			return "";
+		}
+		return String(str)
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/"/g, "&quot;")
+			.replace(/'/g, "&#39;");
+	}
+
+	/**
+	 * Get the day of the week for a "YYYY-MM-DD" date
+	 * @param {string} date - Calendar date
+	 * @returns {number} 0=Sunday ... 6=Saturday
+	 */
+	function getDayOfWeek(date) {
+		const [year, month, day] = date.split("-").map(Number);
+		return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
 	}
 
 	/**
-	 * Check if store is currently open
-	 * @returns {Object} - { isOpen: boolean, message: string }
+	 * Convert "HH:MM" intervals to minutes after midnight. Intervals that run
+	 * past midnight get a close greater than MINUTES_PER_DAY; malformed
+	 * intervals are skipped with a warning.
+	 * @param {Array<{open: string, close: string}>} hours - Intervals from the schedule
+	 * @returns {Array<{open: number, close: number}>} Intervals sorted by opening time
+	 */
+	function toMinuteIntervals(hours) {
+		const intervals = [];
+		for (const interval of hours) {
+			const open = parseClockTime(interval.open);
+			let close = parseClockTime(interval.close);
+			if (open === null || open === MINUTES_PER_DAY || close === null) {
+				console.warn("Ignoring malformed store hours:", interval);
+				continue;
+			}
+			if (close <= open) {
+				close += MINUTES_PER_DAY;
+			}
+			intervals.push({ open, close });
+		}
+		return intervals.sort(function (first, second) {
+			return first.open - second.open;
+		});
+	}
+
+	/**
+	 * Get a shop's hours for one calendar date, with any exception applied
+	 * @param {string} date - Store calendar date as "YYYY-MM-DD"
+	 * @param {Object} [location] - Entry from STORE_LOCATIONS; defaults to the selected shop
+	 * @returns {{label: string, hours: Array<{open: number, close: number}>, closed: boolean, reason: string}}
+	 *   hours are minutes after that date's midnight; reason is empty on regular days
+	 */
+	function getScheduleForDate(date, location) {
+		location = location || getSelectedLocation();
+		const dayOfWeek = getDayOfWeek(date);
+		const exception = location.exceptions.find(function (entry) {
+			return entry.date === date;
+		});
+		const hours = toMinuteIntervals(
+			exception && !exception.closed
+				? exception.hours || []
+				: location.schedule[dayOfWeek] || []
+		);
+
+		return {
+			label: DAY_LABELS[dayOfWeek],
+			hours: exception && exception.closed ? [] : hours,
+			closed: Boolean(exception && exception.closed) || hours.length === 0,
+			reason: exception ? exception.reason : "",
+		};
+	}
+
+	/**
+	 * List the store's open intervals from the day before a date through
+	 * a number of days after it, with back-to-back intervals merged (so
+	 * "20:00"-"24:00" followed by "00:00"-"02:00" reads as one stretch)
+	 * @param {string} date - Store calendar date as "YYYY-MM-DD"
+	 * @param {number} daysAhead - How many days after date to include
+	 * @param {Object} [location] - Entry from STORE_LOCATIONS; defaults to the selected shop
+	 * @returns {Array<{open: number, close: number}>} Minutes relative to
+	 *   date's midnight (negative for the day before)
+	 */
+	function getOpenIntervals(date, daysAhead, location) {
+		const intervals = [];
+		for (let offset = -1; offset <= daysAhead; offset++) {
+			const schedule = getScheduleForDate(addDays(date, offset), location);
+			for (const interval of schedule.hours) {
+				intervals.push({
+					open: interval.open + offset * MINUTES_PER_DAY,
+					close: interval.close + offset * MINUTES_PER_DAY,
+				});
+			}
+		}
+
+		intervals.sort(function (first, second) {
+			return first.open - second.open;
+		});
+
+		const merged = [];
+		for (const interval of intervals) {
+			const last = merged[merged.length - 1];
+			if (last && interval.open <= last.close) {
+				last.close = Math.max(last.close, interval.close);
+			} else {
+				merged.push({ open: interval.open, close: interval.close });
+			}
+		}
+		return merged;
+	}
+
+	/**
+	 * Describe when an opening happens relative to today
+	 * @param {string} date - Today's store date as "YYYY-MM-DD"
+	 * @param {number} minutes - Opening time in minutes after today's midnight
+	 * @returns {string} e.g. "today at 7:00 AM", "Monday at 6:30 AM" or
+	 *   "Monday, Jan 4 at 7:00 AM" when it's more than a week away
+	 */
+	function describeOpening(date, minutes) {
+		const offset = Math.floor(minutes / MINUTES_PER_DAY);
+		const time = formatTime(minutes - offset * MINUTES_PER_DAY);
+		if (offset === 0) {
+			return `today at ${time}`;
+		}
+
+		const openingDate = addDays(date, offset);
+		const label = DAY_LABELS[getDayOfWeek(openingDate)];
+		if (offset < 7) {
+			return `${label} at ${time}`;
+		}
+
+		const [year, month, day] = openingDate.split("-").map(Number);
+		const monthName = new Date(Date.UTC(year, month - 1, day)).toLocaleString(
+			"en-US",
+			{ month: "short", timeZone: "UTC" }
+		);
+		return `${label}, ${monthName} ${day} at ${time}`;
+	}
+
+	/**
+	 * Check if store is currently open, or about to open or close
+	 * @returns {Object} - { isOpen, state, message, minutesLeft, nextOpening, today }
+	 *   state is one of STATUS_STATES; minutesLeft counts down to closing
+	 *   (closing-soon) or opening (opening-soon) and is null otherwise;
+	 *   nextOpening describes the next opening when closed ("" if none found);
+	 *   today is the date's schedule, so callers can show closure reasons
 	 */
 	function checkStoreStatus() {
-		const { day: currentDay, hour: currentHour, minute: currentMinute } =
-			getCurrentStoreTime();
-		const currentTimeDecimal = currentHour + currentMinute / 60;
+		const {
+			hour: currentHour,
+			minute: currentMinute,
+			date: currentDate,
+		} = getCurrentStoreTime();
+		const currentMinutes = currentHour * 60 + currentMinute;
 
-		const todaySchedule = STORE_SCHEDULE[currentDay];
-		const isOpen =
-			currentTimeDecimal >= todaySchedule.open &&
-			currentTimeDecimal < todaySchedule.close;
+		const todaySchedule = getScheduleForDate(currentDate);
+		const intervals = getOpenIntervals(currentDate, MAX_DAYS_AHEAD);
+		const current = intervals.find(function (interval) {
+			return interval.open <= currentMinutes && currentMinutes < interval.close;
+		});
+		const isOpen = Boolean(current);
 
 		// Create descriptive message for screen readers
+		let state = "";
 		let message = "";
+		let minutesLeft = null;
+		let nextOpening = "";
 		if (isOpen) {
-			const closingHour =
-				todaySchedule.close > 12
-					? todaySchedule.close - 12
-					: todaySchedule.close;
-			const closingPeriod = todaySchedule.close >= 12 ? "PM" : "AM";
-			message = `Open Now - Closes at ${closingHour}:00 ${closingPeriod}`;
+			minutesLeft = current.close - currentMinutes;
+			if (minutesLeft <= SOON_MINUTES) {
+				state = "closing-soon";
+				message = `Closing Soon - Closes at ${formatTime(current.close)}`;
+			} else {
+				state = "open";
+				minutesLeft = null;
+				message = `Open Now - Closes at ${formatTime(current.close)}`;
+			}
 		} else {
-			// Find next opening time
-			const nextDay = (currentDay + 1) % 7;
-
-			// Check if opens later today
-			if (currentTimeDecimal < todaySchedule.open) {
-				const openingHour =
-					todaySchedule.open > 12
-						? todaySchedule.open - 12
-						: todaySchedule.open;
-				const openingPeriod = todaySchedule.open >= 12 ? "PM" : "AM";
-				message = `Closed - Opens today at ${openingHour}:00 ${openingPeriod}`;
+			const next = intervals.find(function (interval) {
+				return interval.open > currentMinutes;
+			});
+			if (next) {
+				nextOpening = describeOpening(currentDate, next.open);
+			}
+
+			if (next && next.open - currentMinutes <= SOON_MINUTES) {
+				state = "opening-soon";
+				minutesLeft = next.open - currentMinutes;
+				message = `Opening Soon - Opens ${nextOpening}`;
 			} else {
-				const nextSchedule = STORE_SCHEDULE[nextDay];
-				const openingHour =
-					nextSchedule.open > 12 ? nextSchedule.open - 12 : nextSchedule.open;
-				const openingPeriod = nextSchedule.open >= 12 ? "PM" : "AM";
-				message = `Closed - Opens ${nextSchedule.label} at ${openingHour}:00 ${openingPeriod}`;
+				const prefix =
+					todaySchedule.closed && todaySchedule.reason
+						? `Closed for ${todaySchedule.reason}`
+						: "Closed";
+				state = "closed";
+				message = next ? `${prefix} - Opens ${nextOpening}` : prefix;
 			}
 		}
 
-		return { isOpen, message };
+		return { isOpen, state, message, minutesLeft, nextOpening, today: todaySchedule };
+	}
+
+	/**
+	 * Describe a countdown for the badge
+	 * @param {number} minutes - Minutes remaining
+	 * @returns {string} e.g. "in 1 minute" or "in 12 minutes"
+	 */
+	function formatCountdown(minutes) {
+		return `in ${minutes} ${minutes === 1 ? "minute" : "minutes"}`;
+	}
+
+	/**
+	 * Show a banner under the navigation on holiday closures and
+	 * special-hours days; hide it on regular days
+	 * @param {Object} status - Result of checkStoreStatus()
+	 */
+	function updateClosureBanner(status) {
+		const navbar = document.querySelector(".navbar");
+		let banner = document.getElementById("closureBanner");
+		const today = status.today;
+
+		if (!today.reason) {
+			if (banner) {
+				banner.hidden = true;
+			}
+			return;
+		}
+
+		if (!banner) {
+			if (!navbar) {
+				return;
+			}
+			banner = document.createElement("div");
+			banner.id = "closureBanner";
+			banner.className = "closure-banner";
+			banner.setAttribute("role", "status");
+			navbar.insertAdjacentElement("afterend", banner);
+		}
+
+		if (today.closed) {
+			// A late shift from the day before can still be running
+			banner.classList.remove("closure-banner--special");
+			if (status.isOpen) {
+				banner.textContent = `Closed today for ${today.reason}`;
+			} else {
+				banner.textContent = status.nextOpening
+					? `Closed for ${today.reason} - Opens ${status.nextOpening}`
+					: `Closed for ${today.reason}`;
+			}
+		} else {
+			banner.classList.add("closure-banner--special");
+			const hours = today.hours
+				.map(function (interval) {
+					return `${formatTime(interval.open)} – ${formatTime(interval.close)}`;
+				})
+				.join(", ");
+			banner.textContent = `Special hours for ${today.reason}: ${hours}`;
+		}
+		banner.hidden = false;
 	}
 
 	/**
 	 * Update the status badge in the footer
 	 * WCAG: Uses aria-live region for screen reader announcements
+	 * @param {Object} status - Result of checkStoreStatus()
 	 */
-	function updateStatusBadge() {
+	function updateStatusBadge(status) {
 		const statusBadge = document.getElementById("openStatus");
 		if (!statusBadge) {
 			console.warn("Status badge element not found");
 			return;
 		}
 
-		const status = checkStoreStatus();
 		const statusText = statusBadge.querySelector(".status-text");
+		let countdown = statusBadge.querySelector(".status-countdown");
+		const countdownText =
+			status.minutesLeft === null ? "" : formatCountdown(status.minutesLeft);
 
 		// Update visual status
-		if (status.isOpen) {
-			statusBadge.classList.remove("closed");
-			statusBadge.classList.add("open");
-			statusBadge.setAttribute("aria-label", status.message);
-		} else {
-			statusBadge.classList.remove("open");
-			statusBadge.classList.add("closed");
-			statusBadge.setAttribute("aria-label", status.message);
+		for (const state of STATUS_STATES) {
+			statusBadge.classList.toggle(state, state === status.state);
 		}
+		statusBadge.setAttribute(
+			"aria-label",
+			countdownText ? `${status.message} (${countdownText})` : status.message
+		);
 
-		// Update text content (announced by aria-live region)
-		if (statusText) {
+		// Update text content (announced by aria-live region). Only write it
+		// when it changes, so the region doesn't re-announce every minute.
+		if (statusText && statusText.textContent !== status.message) {
 			statusText.textContent = status.message;
 		}
 
+		// The countdown ticks every minute, so keep it out of the live
+		// region's announcements; the badge's aria-label carries it instead
+		if (!countdown && countdownText) {
+			countdown = document.createElement("span");
+			countdown.className = "status-countdown";
+			countdown.setAttribute("aria-hidden", "true");
+			statusBadge.appendChild(countdown);
+		}
+		if (countdown) {
+			countdown.textContent = countdownText ? `(${countdownText})` : "";
+			countdown.hidden = !countdownText;
+		}
+
 		// Log for debugging (only when DEBUG is enabled)
 		if (DEBUG) {
 			console.log(`[${new Date().toLocaleTimeString()}] Store Status:`, status);
 		}
 	}
 
+	/**
+	 * Get a readable name for a time zone
+	 * @param {string} timeZone - IANA zone such as "America/Chicago"
+	 * @returns {string} e.g. "Central Time", or the zone id if unsupported
+	 */
+	function getTimeZoneName(timeZone) {
+		try {
+			const parts = new Intl.DateTimeFormat("en-US", {
+				timeZone: timeZone,
+				timeZoneName: "longGeneric",
+			}).formatToParts(new Date());
+			const namePart = parts.find(function (part) {
+				return part.type === "timeZoneName";
+			});
+			return namePart ? namePart.value : timeZone;
+		} catch (err) {
+			return timeZone;
+		}
+	}
+
+	/**
+	 * Get how far a time zone's clock is ahead of UTC at a given moment
+	 * @param {number} timestamp - Milliseconds since the epoch
+	 * @param {string} timeZone - IANA zone such as "America/Chicago"
+	 * @returns {number} Offset in minutes, e.g. -300 for Central Daylight Time
+	 */
+	function getZoneOffset(timestamp, timeZone) {
+		const parts = {};
+		const formatter = new Intl.DateTimeFormat("en-US", {
+			timeZone: timeZone,
+			year: "numeric",
+			month: "2-digit",
+			day: "2-digit",
+			hour: "2-digit",
+			minute: "2-digit",
+			hour12: false,
+		});
+		for (const part of formatter.formatToParts(new Date(timestamp))) {
+			parts[part.type] = part.value;
+		}
+
+		const wallClock = Date.UTC(
+			Number(parts.year),
+			Number(parts.month) - 1,
+			Number(parts.day),
+			Number(parts.hour) % 24,
+			Number(parts.minute)
+		);
+		return Math.round((wallClock - Math.floor(timestamp / 60000) * 60000) / 60000);
+	}
+
+	/**
+	 * Convert a time on a shop's clock to a moment in time
+	 * @param {string} date - Shop calendar date as "YYYY-MM-DD"
+	 * @param {number} minutes - Minutes after that date's midnight (may run past midnight)
+	 * @param {string} timeZone - The shop's IANA zone
+	 * @returns {number} Milliseconds since the epoch
+	 */
+	function toTimestamp(date, minutes, timeZone) {
+		const [year, month, day] = date.split("-").map(Number);
+		const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+		// Correct by the zone's offset, then again in case that crossed a DST change
+		const firstGuess = wallClock - getZoneOffset(wallClock, timeZone) * 60000;
+		return wallClock - getZoneOffset(firstGuess, timeZone) * 60000;
+	}
+
+	/**
+	 * Check whether the visitor's clock currently matches the shop's
+	 * @param {Object} location - Entry from STORE_LOCATIONS
+	 * @returns {boolean} True when both zones have the same UTC offset now
+	 */
+	function isVisitorInShopZone(location) {
+		const now = Date.now();
+		return getZoneOffset(now, location.timeZone) === -new Date(now).getTimezoneOffset();
+	}
+
+	/**
+	 * Format a shop time on the visitor's own clock, naming the day when
+	 * it falls on a different day there
+	 * @param {string} date - Shop calendar date as "YYYY-MM-DD"
+	 * @param {number} minutes - Minutes after that date's midnight
+	 * @param {string} timeZone - The shop's IANA zone
+	 * @returns {string} e.g. "2:00 PM" or "1:00 AM Tue"
+	 */
+	function formatVisitorTime(date, minutes, timeZone) {
+		const visitorTime = new Date(toTimestamp(date, minutes, timeZone));
+		const time = visitorTime.toLocaleTimeString("en-US", {
+			hour: "numeric",
+			minute: "2-digit",
+		});
+
+		const shopDay = getDayOfWeek(addDays(date, Math.floor(minutes / MINUTES_PER_DAY)));
+		if (visitorTime.getDay() === shopDay) {
+			return time;
+		}
+		return `${time} ${DAY_LABELS[visitorTime.getDay()].slice(0, 3)}`;
+	}
+
+	/**
+	 * Read the visitor's "Show in my time zone" preference
+	 * @returns {boolean} True if they turned it on
+	 */
+	function loadLocalTimePreference() {
+		try {
+			return localStorage.getItem(LOCAL_TIME_KEY) === "true";
+		} catch (err) {
+			console.error("Could not read hours preference:", err);
+			return false;
+		}
+	}
+
+	/**
+	 * Remember the visitor's "Show in my time zone" preference
+	 * @param {boolean} showLocal - Whether to show local times
+	 */
+	function saveLocalTimePreference(showLocal) {
+		try {
+			localStorage.setItem(LOCAL_TIME_KEY, String(showLocal));
+		} catch (err) {
+			console.error("Could not save hours preference:", err);
+		}
+	}
+
+	/**
+	 * Build one row of the hours table
+	 * @param {string} date - Shop calendar date the row describes
+	 * @param {boolean} isToday - Whether date is the shop's today
+	 * @param {boolean} showLocal - Whether to add the visitor's local times
+	 * @param {Object} location - Entry from STORE_LOCATIONS
+	 * @returns {HTMLTableRowElement} The row
+	 */
+	function buildHoursRow(date, isToday, showLocal, location) {
+		const schedule = getScheduleForDate(date);
+		const row = document.createElement("tr");
+		const dayCell = document.createElement("th");
+		const hoursCell = document.createElement("td");
+
+		dayCell.scope = "row";
+		dayCell.className = "day-label";
+		dayCell.textContent = schedule.label;
+		hoursCell.className = "time-label";
+
+		if (isToday) {
+			row.className = "is-today";
+			row.setAttribute("aria-current", "date");
+			const todayTag = document.createElement("span");
+			todayTag.className = "hours-today-tag";
+			todayTag.textContent = "Today";
+			dayCell.appendChild(document.createTextNode(" "));
+			dayCell.appendChild(todayTag);
+		}
+
+		if (schedule.hours.length === 0) {
+			hoursCell.appendChild(document.createTextNode("Closed"));
+		}
+		schedule.hours.forEach(function (interval, index) {
+			const line = document.createElement("span");
+			line.className = "hours-interval";
+			line.textContent = `${formatTime(interval.open)} - ${formatTime(interval.close)}`;
+
+			if (showLocal) {
+				const local = document.createElement("span");
+				local.className = "hours-local";
+				local.textContent =
+					`(${formatVisitorTime(date, interval.open, location.timeZone)} - ` +
+					`${formatVisitorTime(date, interval.close, location.timeZone)} your time)`;
+				line.appendChild(document.createTextNode(" "));
+				line.appendChild(local);
+			}
+
+			if (index > 0) {
+				hoursCell.appendChild(document.createElement("br"));
+			}
+			hoursCell.appendChild(line);
+		});
+
+		// Name holidays and special hours falling in the coming week
+		if (schedule.reason) {
+			const note = document.createElement("span");
+			note.className = "hours-note";
+			note.textContent = schedule.reason;
+			hoursCell.appendChild(document.createElement("br"));
+			hoursCell.appendChild(note);
+		}
+
+		row.appendChild(dayCell);
+		row.appendChild(hoursCell);
+		return row;
+	}
+
+	let hoursTableKey = "";
+
+	/**
+	 * Build the footer's weekly hours table from the selected shop's
+	 * schedule. Each row shows that weekday's next occurrence, so
+	 * exceptions in the coming week appear, and today's row is highlighted.
+	 * Only rebuilds when the shop, the date or the local-time option changes.
+	 */
+	function renderHoursTable() {
+		const container = document.querySelector(".store-hours .hours-table-container");
+		if (!container) {
+			return;
+		}
+
+		const location = getSelectedLocation();
+		const today = getCurrentStoreTime();
+		const offerLocal = !isVisitorInShopZone(location);
+		const showLocal = offerLocal && loadLocalTimePreference();
+		const key = [location.id, today.date, offerLocal, showLocal].join("|");
+		if (key === hoursTableKey) {
+			return;
+		}
+		hoursTableKey = key;
+
+		const table = document.createElement("table");
+		const caption = document.createElement("caption");
+		const body = document.createElement("tbody");
+
+		table.className = "hours-table";
+		caption.textContent = `${location.name} hours (${getTimeZoneName(location.timeZone)})`;
+		table.appendChild(caption);
+
+		for (const day of WEEK_ORDER) {
+			const offset = (day - today.day + 7) % 7;
+			body.appendChild(
+				buildHoursRow(addDays(today.date, offset), offset === 0, showLocal, location)
+			);
+		}
+		table.appendChild(body);
+
+		container.textContent = "";
+		container.appendChild(table);
+
+		// Remote visitors can add their own clock times to the table
+		if (offerLocal) {
+			const label = document.createElement("label");
+			const checkbox = document.createElement("input");
+
+			label.className = "hours-local-toggle";
+			checkbox.type = "checkbox";
+			checkbox.id = "hoursLocalTime";
+			checkbox.checked = showLocal;
+			checkbox.addEventListener("change", function () {
+				saveLocalTimePreference(checkbox.checked);
+				renderHoursTable();
+				document.getElementById("hoursLocalTime").focus();
+			});
+
+			label.appendChild(checkbox);
+			label.appendChild(document.createTextNode(" Show in my time zone"));
+			container.appendChild(label);
+		}
+	}
+
+	/**
+	 * Show the selected shop's address, map and weekly hours in the footer
+	 */
+	function updateLocationDetails() {
+		const location = getSelectedLocation();
+		const mapLabel = `Code & Brew location at ${location.address.join(", ")}`;
+
+		const address = document.querySelector(".store-address");
+		if (address) {
+			const name = document.createElement("strong");
+			name.textContent = `Code & Brew ${location.name}`;
+			address.textContent = "";
+			address.appendChild(name);
+			for (const line of location.address) {
+				address.appendChild(document.createElement("br"));
+				address.appendChild(document.createTextNode(line));
+			}
+		}
+
+		const map = document.querySelector(".map-container iframe");
+		if (map) {
+			const embedUrl =
+				location.mapEmbedUrl ||
+				`https://www.google.com/maps?q=${encodeURIComponent(location.mapQuery)}&output=embed`;
+			// Only swap the src when it changes, so the map doesn't reload on every page
+			if (map.getAttribute("src") !== embedUrl) {
+				map.setAttribute("src", embedUrl);
+			}
+			map.setAttribute("title", `Code & Brew location map - ${location.name}`);
+			map.setAttribute("aria-label", `Google Maps showing ${mapLabel}`);
+		}
+
+		const mapLink = document.querySelector(".map-link a");
+		if (mapLink) {
+			mapLink.setAttribute(
+				"href",
+				`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(location.mapQuery)}`
+			);
+			mapLink.setAttribute(
+				"aria-label",
+				`Open ${mapLabel} in Google Maps (opens in new window)`
+			);
+		}
+
+		renderHoursTable();
+
+		const picker = document.getElementById("locationSelect");
+		if (picker) {
+			picker.value = location.id;
+		}
+	}
+
+	/**
+	 * Add the location picker under the footer's Store Hours heading
+	 */
+	function initLocationPicker() {
+		const heading = document.getElementById("store-hours-heading");
+		if (!heading || STORE_LOCATIONS.length < 2) {
+			return;
+		}
+
+		const wrapper = document.createElement("div");
+		const label = document.createElement("label");
+		const picker = document.createElement("select");
+
+		wrapper.className = "location-picker";
+		label.setAttribute("for", "locationSelect");
+		label.textContent = "Location";
+		picker.id = "locationSelect";
+		picker.className = "location-select";
+
+		for (const location of STORE_LOCATIONS) {
+			const option = document.createElement("option");
+			option.value = location.id;
+			option.textContent = location.name;
+			picker.appendChild(option);
+		}
+
+		picker.addEventListener("change", function () {
+			selectLocation(picker.value);
+		});
+
+		wrapper.appendChild(label);
+		wrapper.appendChild(picker);
+		heading.insertAdjacentElement("afterend", wrapper);
+	}
+
+	/**
+	 * Refresh everything that depends on the store's open/closed state
+	 */
+	function refreshStoreStatus() {
+		const status = checkStoreStatus();
+		updateStatusBadge(status);
+		updateClosureBanner(status);
+
+		// Moves the "today" highlight at midnight
+		renderHoursTable();
+	}
+
+	let statusTimer = null;
+
+	/**
+	 * Refresh the store status now and again at the start of every minute,
+	 * so the badge and countdown change when the clock does
+	 */
+	function scheduleStatusRefresh() {
+		clearTimeout(statusTimer);
+		refreshStoreStatus();
+
+		// Time zones in use are whole-minute offsets from UTC, so the store's
+		// minute boundaries line up with Date.now(); the small buffer keeps us
+		// from firing a hair early and reading the old minute
+		const delay = 60000 - (Date.now() % 60000) + 50;
+		statusTimer = setTimeout(scheduleStatusRefresh, delay);
+	}
+
 	/**
 	 * Toggle the mobile navigation menu open or closed
 	 * Updates ARIA attributes, CSS classes, overlay visibility, and body scroll
@@ -201,11 +1026,19 @@
 	 * Initialize store hours functionality
 	 */
 	function init() {
-		// Update status immediately on page load
-		updateStatusBadge();
+		// Show the selected shop's address, map and hours
+		initLocationPicker();
+		updateLocationDetails();
 
-		// Update status every 60 seconds
-		setInterval(updateStatusBadge, 60000);
+		// Update status now and on every minute boundary
+		scheduleStatusRefresh();
+
+		// Background tabs throttle timers; catch up as soon as the tab is visible
+		document.addEventListener("visibilitychange", function () {
+			if (document.visibilityState === "visible") {
+				scheduleStatusRefresh();
+			}
+		});
 
 		// Initialize mobile navigation toggle (hamburger menu)
 		const hamburger = document.querySelector(".hamburger");
@@ -244,8 +1077,8 @@
 				toggleMobileMenu(false);
 			});
 
-			// Close menu when a nav link is clicked
-			const navLinks = navMenu.querySelectorAll(".nav-link");
+			// Close menu when a nav link is followed (not the user menu's toggle button)
+			const navLinks = navMenu.querySelectorAll("a.nav-link");
 			for (let i = 0; i < navLinks.length; i++) {
 				navLinks[i].addEventListener("click", closeMobileMenu);
 			}
@@ -276,6 +1109,37 @@
 		}
 	}
 
+	// Public API for other feature files (e.g. checkout pickup times). Pages
+	// load this script before their own, so it is there when they start.
+	window.CodeAndBrew = window.CodeAndBrew || {};
+	window.CodeAndBrew.storeHours = {
+		getLocations: function () {
+			return STORE_LOCATIONS;
+		},
+		getSelectedLocation: getSelectedLocation,
+		selectLocation: selectLocation,
+		getCurrentStoreTime: getCurrentStoreTime,
+		// Schedule helpers take an optional location id (default: selected shop)
+		getScheduleForDate: function (date, locationId) {
+			return getScheduleForDate(date, resolveLocation(locationId));
+		},
+		getOpenIntervals: function (date, daysAhead, locationId) {
+			return getOpenIntervals(date, daysAhead, resolveLocation(locationId));
+		},
+		getTimestamp: function (date, minutes, locationId) {
+			return toTimestamp(date, minutes, resolveLocation(locationId).timeZone);
+		},
+		findLocation: findLocation,
+		formatTime: formatTime,
+		addDays: addDays,
+		checkStoreStatus: checkStoreStatus,
+	};
+
+	// Small helpers shared by every feature file
+	window.CodeAndBrew.utils = {
+		escapeHtml: escapeHtml,
+	};
+
 	// Wait for DOM to be ready
 	if (document.readyState === "loading") {
 		document.addEventListener("DOMContentLoaded", init);
@@ -0,0 +1,415 @@
+/**
+ * Code & Brew - Session Manager
+ * Starts and ends sign-in sessions. "Remember me" keeps a token with an
+ * absolute expiry in localStorage so the session outlives closing the tab.
+ * Every session ends after a stretch of inactivity while the site is open,
+ * with a warning first, and signing out in one tab signs out every open tab.
+ *
+ * The token is plain JSON that anyone with access to the browser can edit;
+ * it stands in for a server-issued session, it doesn't replace one.
+ *
+ * Load before auth.js, which waits for CodeAndBrew.session.ready and reacts
+ * to the "session:end" event.
+ *
+ * @format
+ */
+
+(function () {
+	"use strict";
+
+	// Storage keys. SESSION_KEY (sessionStorage) is the per-tab session the
+	// other feature files read; the rest are shared by all tabs (localStorage).
+	const SESSION_KEY = "currentUser";
+	const TOKEN_KEY = "rememberedSession";
+	const ACTIVITY_KEY = "lastActivity";
+	const SIGN_OUT_KEY = "signedOut";
+
+	const REMEMBER_DAYS = 30;
+	const IDLE_TIMEOUT_MINUTES = 30;
+	const IDLE_WARNING_SECONDS = 60;
+	const ACTIVITY_WRITE_MS = 5000; // Throttle shared activity writes from mousemove etc.
+	const TICK_MS = 1000;
+	const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+	const ACTIVITY_EVENTS = ["mousedown", "mousemove", "keydown", "scroll", "touchstart"];
+
+	let lastActivityWrite = 0;
+	let tickTimer = null;
+	let warningEl = null;
+	let focusBeforeWarning = null;
+
+	// ===================================
+	// Storage Helpers
+	// ===================================
+
+	// Storage areas are looked up by name inside the try blocks below:
+	// with storage blocked, even reading window.localStorage throws
+
+	/**
+	 * Read a text value from storage
+	 * @param {string} area - "localStorage" or "sessionStorage"
+	 * @param {string} key - Storage key
+	 * @returns {string|null} Stored text, or null if missing or unreadable
+	 */
+	function readValue(area, key) {
+		try {
+			return window[area].getItem(key);
+		} catch (err) {
+			console.error("Could not read " + key + ":", err);
+			return null;
+		}
+	}
+
+	/**
+	 * Read and parse a JSON value from storage
+	 * @param {string} area - "localStorage" or "sessionStorage"
+	 * @param {string} key - Storage key
+	 * @returns {*} Parsed value, or null if missing or unreadable
+	 */
+	function readJson(area, key) {
+		const raw = readValue(area, key);
+		try {
+			return raw ? JSON.parse(raw) : null;
+		} catch (err) {
+			console.error("Could not read " + key + ":", err);
+			return null;
+		}
+	}
+
+	/**
+	 * Write or remove a storage value
+	 * @param {string} area - "localStorage" or "sessionStorage"
+	 * @param {string} key - Storage key
+	 * @param {string|null} value - Text to store; null removes the key
+	 */
+	function writeValue(area, key, value) {
+		try {
+			if (value === null) {
+				window[area].removeItem(key);
+			} else {
+				window[area].setItem(key, value);
+			}
+		} catch (err) {
+			console.error("Could not save " + key + ":", err);
+		}
+	}
+
+	// ===================================
+	// Remember-me Tokens
+	// ===================================
+
+	/**
+	 * Create a "remember me" token for a user
+	 * @param {Object} user - { username, email }
+	 * @returns {Object} { username, email, issuedAt, expiresAt }
+	 */
+	function createToken(user) {
+		const issuedAt = Date.now();
+		return {
+			username: user.username,
+			email: user.email,
+			issuedAt: issuedAt,
+			expiresAt: issuedAt + REMEMBER_DAYS * MS_PER_DAY,
+		};
+	}
+
+	/**
+	 * Check that a stored token is well formed and not yet expired
+	 * @param {*} token - Parsed token from storage
+	 * @returns {boolean} True if it can still restore a session
+	 */
+	function isTokenValid(token) {
+		return Boolean(token && token.username && typeof token.expiresAt === "number" &&
+			token.expiresAt > Date.now());
+	}
+
+	// ===================================
+	// Session State
+	// ===================================
+
+	/**
+	 * Get this tab's signed-in user
+	 * @returns {Object|null} { username, email, startedAt } or null if signed out
+	 */
+	function getUser() {
+		const user = readJson("sessionStorage", SESSION_KEY);
+		return user && user.username ? user : null;
+	}
+
+	/**
+	 * Get the remembered session's payload, if there is a current one
+	 * @returns {Object|null} Token payload or null
+	 */
+	function getRemembered() {
+		const token = readJson("localStorage", TOKEN_KEY);
+		return isTokenValid(token) ? token : null;
+	}
+
+	/**
+	 * Write this tab's session user
+	 * @param {Object} user - { username, email }
+	 */
+	function setTabUser(user) {
+		writeValue("sessionStorage", SESSION_KEY, JSON.stringify({
+			username: user.username,
+			email: user.email,
+			startedAt: Date.now(),
+		}));
+	}
+
+	/**
+	 * Record activity for the idle timeout, shared by every tab
+	 * @param {boolean} [force] - Write even if written within ACTIVITY_WRITE_MS
+	 */
+	function recordActivity(force) {
+		const now = Date.now();
+		if (!force && now - lastActivityWrite < ACTIVITY_WRITE_MS) return;
+		lastActivityWrite = now;
+		writeValue("localStorage", ACTIVITY_KEY, String(now));
+	}
+
+	/**
+	 * Get how long every tab has been idle
+	 * @returns {number} Milliseconds since the last recorded activity
+	 */
+	function getIdleMs() {
+		const last = parseInt(readValue("localStorage", ACTIVITY_KEY), 10);
+		return isNaN(last) ? 0 : Date.now() - last;
+	}
+
+	/**
+	 * Start a session after sign-in or registration
+	 * @param {Object} user - { username, email }
+	 * @param {Object} [options] - { remember: true } to stay signed in across tabs
+	 */
+	function start(user, options) {
+		const token = options && options.remember ? createToken(user) : null;
+		setTabUser(user);
+		writeValue("localStorage", TOKEN_KEY, token && JSON.stringify(token));
+		recordActivity(true);
+	}
+
+	/**
+	 * Notify this tab's scripts that the session ended
+	 * @param {string} reason - "signed-out", "idle" or "expired"
+	 * @param {boolean} remote - True if another tab ended it
+	 */
+	function announceEnd(reason, remote) {
+		stopTracking();
+		document.dispatchEvent(new CustomEvent("session:end", {
+			detail: { reason: reason, remote: remote },
+		}));
+	}
+
+	/**
+	 * Clear the session for this tab and every other open tab
+	 * @param {string} reason - Why it ended
+	 */
+	function clear(reason) {
+		writeValue("sessionStorage", SESSION_KEY, null);
+		writeValue("localStorage", TOKEN_KEY, null);
+
+		// Other tabs hear this through the storage event
+		writeValue("localStorage", SIGN_OUT_KEY, JSON.stringify({ at: Date.now(), reason: reason }));
+	}
+
+	/**
+	 * End the session in this tab and every other open tab
+	 * @param {string} [reason] - Why it ended; defaults to "signed-out"
+	 */
+	function end(reason) {
+		reason = reason || "signed-out";
+		clear(reason);
+		announceEnd(reason, false);
+	}
+
+	/**
+	 * Bring this tab's session in line with the shared state on page load:
+	 * drop one that was signed out elsewhere, expired or went idle, or restore
+	 * a remembered session in a new tab. Idle time only counts while a tab is
+	 * open, so a restored session starts with a fresh idle timer. Runs before
+	 * auth.js is listening, so it reports why the session ended instead of
+	 * announcing it.
+	 * @returns {string|null} "idle" or "expired" if this tab's session just
+	 *     ended, otherwise null
+	 */
+	function restore() {
+		const user = getUser();
+		const token = readJson("localStorage", TOKEN_KEY);
+		const signedOut = readJson("localStorage", SIGN_OUT_KEY);
+
+		if (user && signedOut && signedOut.at > (user.startedAt || 0)) {
+			writeValue("sessionStorage", SESSION_KEY, null); // Signed out in another tab
+			return null;
+		}
+		if (readValue("localStorage", TOKEN_KEY) && !isTokenValid(token)) {
+			clear("expired");
+			return user ? "expired" : null;
+		}
+		if (user && getIdleMs() >= IDLE_TIMEOUT_MINUTES * 60 * 1000) {
+			clear("idle");
+			return "idle";
+		}
+		if (!user && token) {
+			setTabUser(token);
+			recordActivity(true);
+		}
+		return null;
+	}
+
+	// ===================================
+	// Idle Warning
+	// ===================================
+
+	/**
+	 * Build the idle warning dialog
+	 * @returns {HTMLElement} Dialog element (not yet in the page)
+	 */
+	function buildWarning() {
+		const el = document.createElement("div");
+		el.className = "session-warning";
+		el.setAttribute("role", "alertdialog");
+		el.setAttribute("aria-labelledby", "sessionWarningTitle");
+		el.setAttribute("aria-describedby", "sessionWarningText");
+		el.innerHTML =
+			'<p id="sessionWarningTitle" class="session-warning-title">Still there?</p>' +
+			'<p id="sessionWarningText" class="session-warning-text">' +
+			'You\'ll be signed out in <span class="session-warning-countdown"></span> ' +
+			"because you haven't been active for a while.</p>" +
+			'<div class="session-warning-actions">' +
+			'<button type="button" class="session-warning-stay">Stay signed in</button>' +
+			'<button type="button" class="session-warning-sign-out">Sign out now</button>' +
+			"</div>";
+
+		el.querySelector(".session-warning-stay").addEventListener("click", function () {
+			recordActivity(true);
+			hideWarning();
+		});
+		el.querySelector(".session-warning-sign-out").addEventListener("click", function () {
+			end("signed-out");
+		});
+		return el;
+	}
+
+	/**
+	 * Show or update the idle warning
+	 * @param {number} secondsLeft - Seconds until sign-out
+	 */
+	function showWarning(secondsLeft) {
+		if (!warningEl) {
+			warningEl = buildWarning();
+			focusBeforeWarning = document.activeElement;
+			document.body.appendChild(warningEl);
+			warningEl.querySelector(".session-warning-stay").focus();
+		}
+		warningEl.querySelector(".session-warning-countdown").textContent =
+			secondsLeft + (secondsLeft === 1 ? " second" : " seconds");
+	}
+
+	/**
+	 * Remove the idle warning and return focus to where it was
+	 */
+	function hideWarning() {
+		if (!warningEl) return;
+		warningEl.remove();
+		warningEl = null;
+		if (focusBeforeWarning && document.contains(focusBeforeWarning)) {
+			focusBeforeWarning.focus();
+		}
+		focusBeforeWarning = null;
+	}
+
+	// ===================================
+	// Tracking
+	// ===================================
+
+	/**
+	 * Record activity unless the idle warning is up; once it shows,
+	 * only "Stay signed in" keeps the session
+	 */
+	function handleActivity() {
+		if (!warningEl) recordActivity(false);
+	}
+
+	/**
+	 * Check expiry and idle time once a second
+	 */
+	function tick() {
+		if (!getUser()) {
+			stopTracking();
+			return;
+		}
+
+		// Remembered sessions also end at their absolute expiry
+		if (readValue("localStorage", TOKEN_KEY) && !getRemembered()) {
+			end("expired");
+			return;
+		}
+
+		const msLeft = IDLE_TIMEOUT_MINUTES * 60 * 1000 - getIdleMs();
+		if (msLeft <= 0) {
+			end("idle");
+		} else if (msLeft <= IDLE_WARNING_SECONDS * 1000) {
+			showWarning(Math.ceil(msLeft / 1000));
+		} else {
+			hideWarning(); // Another tab was active
+		}
+	}
+
+	/**
+	 * Start watching for activity, expiry and idle time
+	 */
+	function startTracking() {
+		if (tickTimer) return;
+		ACTIVITY_EVENTS.forEach(function (type) {
+			document.addEventListener(type, handleActivity, { passive: true });
+		});
+		recordActivity(true);
+		tickTimer = setInterval(tick, TICK_MS);
+	}
+
+	/**
+	 * Stop watching and remove the idle warning
+	 */
+	function stopTracking() {
+		ACTIVITY_EVENTS.forEach(function (type) {
+			document.removeEventListener(type, handleActivity, { passive: true });
+		});
+		clearInterval(tickTimer);
+		tickTimer = null;
+		hideWarning();
+	}
+
+	// ===================================
+	// Initialisation
+	// ===================================
+
+	// Runs as soon as the script loads; auth.js waits for it before checking the
+	// page and sends the visitor to sign-in if the session ended here
+	const ready = Promise.resolve(restore());
+	if (getUser()) {
+		startTracking();
+	}
+
+	// Sign out here when another tab signs out
+	window.addEventListener("storage", function (event) {
+		if (event.key !== SIGN_OUT_KEY || !event.newValue || !getUser()) return;
+		const signedOut = readJson("localStorage", SIGN_OUT_KEY) || {};
+		writeValue("sessionStorage", SESSION_KEY, null);
+		announceEnd(signedOut.reason || "signed-out", true);
+	});
+
+	// Public API for auth.js, sign-in and registration
+	window.CodeAndBrew = window.CodeAndBrew || {};
+	window.CodeAndBrew.session = {
+		REMEMBER_DAYS: REMEMBER_DAYS,
+		IDLE_TIMEOUT_MINUTES: IDLE_TIMEOUT_MINUTES,
+		ready: ready,
+		getUser: getUser,
+		isRemembered: function () {
+			return getRemembered() !== null;
+		},
+		start: start,
+		end: end,
+	};
+})();
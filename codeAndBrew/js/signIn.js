@@ -0,0 +1,157 @@
+/**
+ * Code & Brew - Sign In
+ * Checks a username or email and password against the local user store,
+ * starts the session on success and returns to the page that asked for sign-in
+ *
+ * @format
+ */
+
+(function($) {
+    "use strict";
+
+    // Constants
+    const WELCOME_URL = "welcome.html";
+
+    // Messages for each way sign-in can fail
+    const ERROR_MESSAGES = {
+        "unknown-account": "No account found with that username or email.",
+        "wrong-password":  "Incorrect password. Please try again."
+    };
+
+    // Why an earlier session ended, from auth.js's ?reason= parameter
+    const NOTICE_MESSAGES = {
+        "idle":    "You were signed out after a period of inactivity. Sign in to pick up where you left off.",
+        "expired": "Your remembered sign-in has expired. Please sign in again."
+    };
+
+    // ===================================
+    // UI Helpers
+    // ===================================
+
+    /**
+     * Mark a field as invalid with a message
+     * @param {jQuery} $field - The input element
+     * @param {string} message - Error message to display
+     */
+    function setInvalid($field, message) {
+        $field.addClass("is-invalid").attr("aria-invalid", "true");
+        $field.closest(".mb-4").find(".invalid-feedback").text(message).show();
+    }
+
+    /**
+     * Clear validation styling from a field
+     * @param {jQuery} $field - The input element
+     */
+    function clearValidation($field) {
+        $field.removeClass("is-invalid").removeAttr("aria-invalid");
+        $field.closest(".mb-4").find(".invalid-feedback").text("").hide();
+    }
+
+    // ===================================
+    // Event Handlers
+    // ===================================
+
+    /**
+     * Toggle password field visibility
+     * @param {Event} e - Click event
+     */
+    function togglePasswordVisibility(e) {
+        e.preventDefault();
+        const $input = $("#" + $(this).data("target"));
+        const $icon = $(this).find("i");
+        const show = $input.attr("type") === "password";
+
+        $input.attr("type", show ? "text" : "password");
+        $icon.toggleClass("fa-eye", !show).toggleClass("fa-eye-slash", show);
+        $(this).attr("aria-label", show ? "Hide password" : "Show password");
+    }
+
+    /**
+     * Handle form submission — check the credentials, then redirect on success
+     * @param {Event} e - Submit event
+     */
+    async function handleFormSubmit(e) {
+        e.preventDefault();
+        const $identifier = $("#identifier");
+        const $password = $("#password");
+        const identifier = $identifier.val().trim();
+        const password = $password.val();
+
+        clearValidation($identifier);
+        clearValidation($password);
+
+        if (!identifier) {
+            setInvalid($identifier, "Enter your username or email.");
+        }
+        if (!password) {
+            setInvalid($password, "Enter your password.");
+        }
+        if (!identifier || !password) {
+            $(".is-invalid").first().trigger("focus");
+            return false;
+        }
+
+        const $submit = $("#signInForm button[type='submit']");
+        $("#signInError").text("").prop("hidden", true);
+        $submit.prop("disabled", true);
+
+        let result;
+        try {
+            result = await window.CodeAndBrew.userStore.verifyCredentials(identifier, password);
+        } catch (err) {
+            console.error("Could not check password:", err);
+            $("#signInError").text("We couldn't sign you in right now. Please try again.").prop("hidden", false);
+            return false;
+        } finally {
+            $submit.prop("disabled", false);
+        }
+
+        if (result.error === "unknown-account") {
+            setInvalid($identifier, ERROR_MESSAGES[result.error]);
+            $identifier.trigger("focus");
+            return false;
+        }
+        if (result.error === "wrong-password") {
+            setInvalid($password, ERROR_MESSAGES[result.error]);
+            $password.val("").trigger("focus");
+            return false;
+        }
+
+        window.CodeAndBrew.session.start(result.user, {
+            remember: $("#rememberMe").is(":checked")
+        });
+
+        // Back to the page that sent the visitor here, or the dashboard
+        window.location.href = window.CodeAndBrew.auth.getReturnUrl() || WELCOME_URL;
+        return false;
+    }
+
+    // ===================================
+    // Initialisation
+    // ===================================
+
+    /**
+     * Bind all event listeners
+     */
+    function init() {
+        const reason = new URLSearchParams(window.location.search).get("reason");
+        if (NOTICE_MESSAGES[reason]) {
+            $("#signInNotice").text(NOTICE_MESSAGES[reason]).prop("hidden", false);
+        }
+
+        $(".toggle-password").on("click", togglePasswordVisibility);
+
+        // Clear a field's error as soon as the user edits it
+        $("#identifier, #password").on("input", function() {
+            clearValidation($(this));
+        });
+
+        $("#signInForm").on("submit", handleFormSubmit);
+    }
+
+    // Wait for DOM ready
+    $(document).ready(function() {
+        init();
+    });
+
+})(jQuery);
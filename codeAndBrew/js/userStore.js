@@ -0,0 +1,227 @@
+/**
+ * Code & Brew - Local User Store
+ * Keeps registered accounts in localStorage so they outlive the browser
+ * session, and checks sign-in credentials against them. Passwords are
+ * hashed by passwordHash.js; the store never saves them as typed.
+ *
+ * @format
+ */
+
+(function() {
+    "use strict";
+
+    // Constants
+    const USERS_KEY = "users";
+
+    // ===================================
+    // Storage (localStorage)
+    // ===================================
+
+    /**
+     * Load all registered accounts from localStorage
+     * @returns {Array<Object>} Account records
+     */
+    function loadUsers() {
+        try {
+            const raw = localStorage.getItem(USERS_KEY);
+            const users = raw ? JSON.parse(raw) : [];
+            return Array.isArray(users) ? users : [];
+        } catch (err) {
+            console.error("Could not read users:", err);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the accounts array to localStorage
+     * @param {Array<Object>} users - Account records to save
+     * @returns {boolean} True if the accounts were saved
+     */
+    function saveUsers(users) {
+        try {
+            localStorage.setItem(USERS_KEY, JSON.stringify(users));
+            return true;
+        } catch (err) {
+            console.error("Could not save users:", err);
+            return false;
+        }
+    }
+
+    // ===================================
+    // Lookups
+    // ===================================
+
+    /**
+     * Normalize a username or email for comparison, so "Blue" and "blue"
+     * are the same account
+     * @param {string} value - Raw username or email
+     * @returns {string} Trimmed, lower-case value
+     */
+    function normalize(value) {
+        return String(value || "").trim().toLowerCase();
+    }
+
+    /**
+     * Find an account by username or email
+     * @param {string} identifier - Username or email address
+     * @returns {Object|null} Account record or null if none matches
+     */
+    function findUser(identifier) {
+        const key = normalize(identifier);
+        if (!key) return null;
+
+        return loadUsers().find(function(user) {
+            return normalize(user.username) === key || normalize(user.email) === key;
+        }) || null;
+    }
+
+    /**
+     * Check whether a username is already registered
+     * @param {string} username - Username to check
+     * @returns {boolean} True if an account already uses it
+     */
+    function isUsernameTaken(username) {
+        const key = normalize(username);
+        return loadUsers().some(function(user) {
+            return normalize(user.username) === key;
+        });
+    }
+
+    /**
+     * Check whether an email address is already registered
+     * @param {string} email - Email to check
+     * @returns {boolean} True if an account already uses it
+     */
+    function isEmailTaken(email) {
+        const key = normalize(email);
+        return loadUsers().some(function(user) {
+            return normalize(user.email) === key;
+        });
+    }
+
+    /**
+     * Check whether a username is free to register. Async so callers are
+     * already written for a store that lives on a server.
+     * @param {string} username - Username to check
+     * @returns {Promise<boolean>} True if no account uses it
+     */
+    async function isUsernameAvailable(username) {
+        return !isUsernameTaken(username);
+    }
+
+    /**
+     * Check whether an email address is free to register
+     * @param {string} email - Email to check
+     * @returns {Promise<boolean>} True if no account uses it
+     */
+    async function isEmailAvailable(email) {
+        return !isEmailTaken(email);
+    }
+
+    /**
+     * Get the public part of an account for the session (never the credential)
+     * @param {Object} user - Account record
+     * @returns {Object} { username, email }
+     */
+    function toSessionUser(user) {
+        return { username: user.username, email: user.email };
+    }
+
+    // ===================================
+    // Registration & Sign-in
+    // ===================================
+
+    /**
+     * Replace one account's record in the store
+     * @param {Object} updated - Account record with the same username
+     * @returns {boolean} True if the account was found and saved
+     */
+    function updateUser(updated) {
+        const users = loadUsers();
+        const key = normalize(updated.username);
+        const index = users.findIndex(function(user) {
+            return normalize(user.username) === key;
+        });
+        if (index === -1) return false;
+
+        users[index] = updated;
+        return saveUsers(users);
+    }
+
+    /**
+     * Register a new account. The password is hashed before anything is
+     * saved; only the hash record from passwordHash.js is stored.
+     * @param {Object} details - { username, email, password } from the sign-up form
+     * @returns {Promise<{user: Object|null, error: string}>} The session user, or
+     *     which field clashed: "username-taken", "email-taken" or "storage"
+     */
+    async function createUser(details) {
+        if (isUsernameTaken(details.username)) return { user: null, error: "username-taken" };
+        if (isEmailTaken(details.email)) return { user: null, error: "email-taken" };
+
+        const credential = await window.CodeAndBrew.passwordHash.hashPassword(details.password);
+
+        // Check again: another tab may have registered the name while hashing
+        if (isUsernameTaken(details.username)) return { user: null, error: "username-taken" };
+        if (isEmailTaken(details.email)) return { user: null, error: "email-taken" };
+
+        const users = loadUsers();
+        const user = {
+            username:   details.username.trim(),
+            email:      details.email.trim(),
+            credential: credential,
+            createdAt:  new Date().toISOString()
+        };
+        users.push(user);
+
+        if (!saveUsers(users)) return { user: null, error: "storage" };
+        return { user: toSessionUser(user), error: "" };
+    }
+
+    /**
+     * Check a password against an account, re-hashing the stored record when
+     * it uses weaker settings than the current defaults
+     * @param {Object} user - Account record
+     * @param {string} password - Password as typed
+     * @returns {Promise<boolean>} True if the password matches
+     */
+    async function checkPassword(user, password) {
+        const passwordHash = window.CodeAndBrew.passwordHash;
+        const matches = await passwordHash.verifyPassword(password, user.credential);
+
+        if (matches && passwordHash.needsRehash(user.credential)) {
+            updateUser(Object.assign({}, user, { credential: await passwordHash.hashPassword(password) }));
+        }
+
+        return matches;
+    }
+
+    /**
+     * Check a username or email and password against the store
+     * @param {string} identifier - Username or email address
+     * @param {string} password - Password as typed
+     * @returns {Promise<{user: Object|null, error: string}>} The session user, or
+     *     "unknown-account" / "wrong-password"
+     */
+    async function verifyCredentials(identifier, password) {
+        const user = findUser(identifier);
+        if (!user) return { user: null, error: "unknown-account" };
+        if (!(await checkPassword(user, password))) return { user: null, error: "wrong-password" };
+        return { user: toSessionUser(user), error: "" };
+    }
+
+    // Share with account.js (sign up) and signIn.js
+    window.CodeAndBrew = window.CodeAndBrew || {};
+    window.CodeAndBrew.userStore = {
+        findUser: function(identifier) {
+            const user = findUser(identifier);
+            return user ? toSessionUser(user) : null;
+        },
+        isUsernameTaken: isUsernameTaken,
+        isEmailTaken: isEmailTaken,
+        isUsernameAvailable: isUsernameAvailable,
+        isEmailAvailable: isEmailAvailable,
+        createUser: createUser,
+        verifyCredentials: verifyCredentials
+    };
+})();
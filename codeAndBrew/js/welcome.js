@@ -1,6 +1,6 @@
 /**
  * Code & Brew - Welcome Dashboard
- * Reads user from sessionStorage and handles favorite drinks
+ * Greets the signed-in user (from auth.js) and handles favorite drinks
  *
  * @format
  */
@@ -9,27 +9,8 @@
     "use strict";
 
     // Constants
-    const SESSION_KEY   = "currentUser";
     const FAVORITES_KEY = "favoriteDrinks";
 
-    // ===================================
-    // Session Helper
-    // ===================================
-
-    /**
-     * Get the current user from sessionStorage
-     * @returns {Object|null} User object or null if not found
-     */
-    function getCurrentUser() {
-        try {
-            const raw = sessionStorage.getItem(SESSION_KEY);
-            return raw ? JSON.parse(raw) : null;
-        } catch (err) {
-            console.error("Could not read session:", err);
-            return null;
-        }
-    }
-
     // ===================================
     // Favorites Storage (localStorage)
     // ===================================
@@ -136,14 +117,8 @@
     // UI Helpers
     // ===================================
 
-    /**
-     * Escape HTML to prevent XSS when inserting user data
-     * @param {string} text - Raw text
-     * @returns {string} HTML-escaped text
-     */
-    function escapeHtml(text) {
-        return $("<div>").text(text).html();
-    }
+    // HTML escaping shared from script.js
+    const escapeHtml = window.CodeAndBrew.utils.escapeHtml;
 
     /**
      * Format an ISO date string to a readable date
@@ -356,14 +331,13 @@
     }
 
     /**
-     * Handle Logout — clear session and return to home page
+     * Handle Logout — end the session in every tab and return to home page
      * @param {Event} e - Click event
      */
     function handleLogout(e) {
         e.preventDefault();
         if (confirm("Are you sure you want to log out?")) {
-            sessionStorage.removeItem(SESSION_KEY);
-            window.location.href = "../index.html";
+            window.CodeAndBrew.auth.signOut();
         }
     }
 
@@ -390,7 +364,7 @@
      */
     function init() {
         // Read user from session (set by account.js on successful registration)
-        const user = getCurrentUser();
+        const user = window.CodeAndBrew.auth.getCurrentUser();
 
         if (user && user.username) {
             $("#welcomeUsername").text(user.username);